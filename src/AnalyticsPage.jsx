@@ -0,0 +1,187 @@
+import { useState, useMemo } from "react";
+import { useReceiptHistory } from "./history.js";
+import {
+  dateRange, receiptsInRange, summarize, revenueSeries, basketSizes,
+  topProducts, topCategories, removalRates, overallRemovalRate, useScanEvents,
+} from "./analytics.js";
+import { toCsv } from "./csv.js";
+import { downloadFile, dateStamp } from "./download.js";
+import { AreaChart, BarChart, RankList } from "./charts.jsx";
+import { panelStyle, sectionTitleStyle, inputStyle, labelStyle, buttonStyle } from "./ui.js";
+import { t, formatMoney, formatNumber } from "./i18n.js";
+
+// ─── STORE ANALYTICS ───
+const PRESETS = [
+  { key: "7d", days: 7 },
+  { key: "30d", days: 30 },
+  { key: "90d", days: 90 },
+  { key: "all", days: null },
+];
+const TOP_N = 8;
+
+function isoDay(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function presetRange(days) {
+  if (!days) return { from: "", to: "" };
+  const start = new Date();
+  start.setDate(start.getDate() - (days - 1));
+  return { from: isoDay(start), to: isoDay(new Date()) };
+}
+
+function percent(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+// One file, one block per table, separated by a blank line
+function analyticsCsv({ summary, series, baskets, products, categories, removals }) {
+  return [
+    toCsv(Object.entries(summary).map(([metric, value]) => ({ metric, value })), [{ key: "metric" }, { key: "value" }]),
+    toCsv(series, [{ key: "key", label: "period" }, { key: "orders" }, { key: "revenue" }]),
+    toCsv(baskets, [{ key: "key", label: "basket_units" }, { key: "orders" }]),
+    toCsv(products, [{ key: "key", label: "tag_id" }, { key: "name", label: "product" }, { key: "units" }, { key: "revenue" }]),
+    toCsv(categories, [{ key: "name", label: "category" }, { key: "units" }, { key: "revenue" }]),
+    toCsv(removals.map((r) => ({ ...r, rate: r.rate.toFixed(3) })), [
+      { key: "key", label: "tag_id" }, { key: "name", label: "product" },
+      { key: "added" }, { key: "removed" }, { key: "rate", label: "removal_rate" },
+    ]),
+  ].join("\r\n\r\n");
+}
+
+function Tile({ label, value, color = "var(--text)" }) {
+  return (
+    <div style={{ ...panelStyle, padding: 16 }}>
+      <p style={labelStyle}>{label}</p>
+      <p style={{ fontFamily: "var(--mono)", fontSize: 22, fontWeight: 700, color }}>{value}</p>
+    </div>
+  );
+}
+
+function Card({ title, children }) {
+  return (
+    <div style={panelStyle}>
+      <h3 style={sectionTitleStyle}>{title}</h3>
+      {children}
+    </div>
+  );
+}
+
+export default function AnalyticsPage() {
+  const { receipts, loading, offline, refresh } = useReceiptHistory();
+  const [{ from, to }, setDates] = useState(() => presetRange(30));
+  const range = useMemo(() => dateRange(from, to), [from, to]);
+  const scans = useScanEvents(range);
+
+  const report = useMemo(() => {
+    const inRange = receiptsInRange(receipts, range);
+    const removals = removalRates(scans.events);
+    return {
+      summary: summarize(inRange),
+      series: revenueSeries(inRange, range),
+      baskets: basketSizes(inRange),
+      products: topProducts(inRange),
+      categories: topCategories(inRange),
+      removals,
+      removalRate: overallRemovalRate(removals),
+    };
+  }, [receipts, range, scans.events]);
+  const { summary } = report;
+
+  const exportCsv = () => downloadFile(`analytics-${dateStamp()}.csv`, analyticsCsv(report), "text/csv");
+  const preset = PRESETS.find((p) => {
+    const r = presetRange(p.days);
+    return r.from === from && r.to === to;
+  });
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 16, animation: "slideUp 0.3s ease" }}>
+      <div style={{ ...panelStyle, display: "flex", flexWrap: "wrap", alignItems: "flex-end", gap: 10 }}>
+        <h3 style={{ ...sectionTitleStyle, marginBottom: 0, marginRight: "auto", alignSelf: "center" }}>
+          📊 {t("analytics.title")}
+        </h3>
+        {offline && (
+          <span style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--yellow)", alignSelf: "center" }}>
+            {t("history.offline")}
+          </span>
+        )}
+        {PRESETS.map((p) => (
+          <button
+            key={p.key}
+            onClick={() => setDates(presetRange(p.days))}
+            style={{ ...buttonStyle("ghost"), ...(preset === p ? { color: "var(--accent)", borderColor: "var(--accent)" } : {}) }}
+          >
+            {t(`analytics.presets.${p.key}`)}
+          </button>
+        ))}
+        <div>
+          <label style={labelStyle}>{t("history.from")}</label>
+          <input type="date" value={from} onChange={(e) => setDates({ from: e.target.value, to })} style={inputStyle} />
+        </div>
+        <div>
+          <label style={labelStyle}>{t("history.to")}</label>
+          <input type="date" value={to} onChange={(e) => setDates({ from, to: e.target.value })} style={inputStyle} />
+        </div>
+        <button onClick={refresh} disabled={loading} style={buttonStyle("ghost")}>
+          {t(loading ? "common.loading" : "common.refresh")}
+        </button>
+        <button onClick={exportCsv} disabled={summary.orders === 0} style={buttonStyle("primary")}>
+          {t("analytics.export")}
+        </button>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))", gap: 12 }}>
+        <Tile label={t("analytics.revenue")} value={formatMoney(summary.revenue)} color="var(--green)" />
+        <Tile label={t("analytics.orders")} value={formatNumber(summary.orders)} />
+        <Tile label={t("analytics.avgOrder")} value={formatMoney(summary.avgOrder)} color="var(--accent)" />
+        <Tile label={t("analytics.avgBasket")} value={formatNumber(Math.round(summary.avgBasket * 10) / 10)} />
+        <Tile label={t("analytics.refunds")} value={formatMoney(summary.refunded)} color={summary.refunded > 0 ? "var(--red)" : "var(--text)"} />
+        <Tile label={t("analytics.removalRate")} value={percent(report.removalRate)} color="var(--yellow)" />
+      </div>
+
+      <Card title={t("analytics.revenueOverTime")}>
+        <AreaChart data={report.series} field="revenue" format={formatMoney} emptyText={t("analytics.noOrders")} />
+      </Card>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))", gap: 16 }}>
+        <Card title={t("analytics.basketSizes")}>
+          <BarChart data={report.baskets} field="orders" format={formatNumber} emptyText={t("analytics.noOrders")} />
+        </Card>
+        <Card title={t("analytics.topCategories")}>
+          <RankList
+            rows={report.categories.slice(0, TOP_N)}
+            value={(row) => row.revenue}
+            format={formatMoney}
+            detail={(row) => t("analytics.units", { count: row.units })}
+            emptyText={t("analytics.noOrders")}
+            color="var(--green)"
+          />
+        </Card>
+        <Card title={t("analytics.topProducts")}>
+          <RankList
+            rows={report.products.slice(0, TOP_N)}
+            value={(row) => row.revenue}
+            format={formatMoney}
+            detail={(row) => t("analytics.units", { count: row.units })}
+            emptyText={t("analytics.noOrders")}
+          />
+        </Card>
+        <Card title={t("analytics.mostRemoved")}>
+          <RankList
+            rows={report.removals.filter((r) => r.removed > 0).slice(0, TOP_N)}
+            value={(row) => row.rate}
+            format={percent}
+            detail={(row) => t("analytics.removedOf", { removed: row.removed, added: row.added })}
+            emptyText={t(scans.loading ? "common.loading" : "analytics.noScans")}
+            color="var(--yellow)"
+          />
+          {scans.local && !scans.loading && (
+            <p style={{ marginTop: 10, fontFamily: "var(--mono)", fontSize: 10, color: "var(--text-dim)" }}>
+              {t("analytics.localScans")}
+            </p>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+}
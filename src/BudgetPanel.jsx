@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { DEFAULT_THRESHOLDS, parseThresholds, budgetShare } from "./budget.js";
+import { panelStyle, sectionTitleStyle, inputStyle, labelStyle, buttonStyle } from "./ui.js";
+import { t, formatMoney, getLocale } from "./i18n.js";
+
+// ─── BUDGET PANEL ───
+// Progress against the session budget, with the latest scan that took the
+// cart over it and a one-tap undo for that scan.
+function barColor(share, thresholds) {
+  if (share > 100) return "var(--red)";
+  return thresholds.some((pct) => pct < 100 && share >= pct) ? "var(--yellow)" : "var(--green)";
+}
+
+function BudgetForm({ budget, onSave, onCancel }) {
+  const [amount, setAmount] = useState(budget ? String(budget.amount) : "");
+  const [thresholds, setThresholds] = useState((budget?.thresholds || DEFAULT_THRESHOLDS).join(", "));
+  const value = Number(amount);
+  const valid = Number.isFinite(value) && value > 0 && parseThresholds(thresholds).length > 0;
+  const save = () => valid && onSave({ amount: value, thresholds: parseThresholds(thresholds) });
+
+  return (
+    <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
+      <div style={{ flex: 1 }}>
+        <label style={labelStyle}>{t("budget.amount", { currency: getLocale().currency })}</label>
+        <input
+          type="number" min="0" step="1" autoFocus
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && save()}
+          style={inputStyle}
+        />
+      </div>
+      <div style={{ flex: 1 }}>
+        <label style={labelStyle}>{t("budget.thresholds")}</label>
+        <input
+          value={thresholds}
+          onChange={(e) => setThresholds(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && save()}
+          placeholder="80, 100"
+          style={inputStyle}
+        />
+      </div>
+      <button onClick={save} disabled={!valid} style={buttonStyle("primary")}>{t("common.save")}</button>
+      {onCancel && <button onClick={onCancel} style={buttonStyle("ghost")}>{t("common.cancel")}</button>}
+    </div>
+  );
+}
+
+export default function BudgetPanel({ budget, onChange, total, overBudget, onUndo, onDismiss }) {
+  const [editing, setEditing] = useState(false);
+  const share = budgetShare(total, budget);
+
+  const save = (next) => {
+    onChange(next);
+    setEditing(false);
+  };
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12 }}>
+        <h3 style={{ ...sectionTitleStyle, marginBottom: 0, marginRight: "auto" }}>💰 {t("budget.title")}</h3>
+        {budget && !editing && (
+          <>
+            <button onClick={() => setEditing(true)} style={buttonStyle("ghost")}>{t("common.edit")}</button>
+            <button onClick={() => onChange(null)} style={buttonStyle("danger")}>{t("budget.remove")}</button>
+          </>
+        )}
+      </div>
+
+      {!budget || editing ? (
+        <BudgetForm budget={budget} onSave={save} onCancel={budget ? () => setEditing(false) : null} />
+      ) : (
+        <>
+          <div style={{
+            display: "flex", justifyContent: "space-between",
+            fontFamily: "var(--mono)", fontSize: 12, marginBottom: 8,
+          }}>
+            <span>{t("budget.spent", { total: formatMoney(total), amount: formatMoney(budget.amount) })}</span>
+            <span style={{ color: total > budget.amount ? "var(--red)" : "var(--text-dim)" }}>
+              {total > budget.amount
+                ? t("budget.over", { amount: formatMoney(total - budget.amount) })
+                : t("budget.left", { amount: formatMoney(budget.amount - total) })}
+            </span>
+          </div>
+          <div style={{ position: "relative", height: 10, borderRadius: 5, background: "var(--bg)", overflow: "hidden" }}>
+            <div style={{
+              width: `${Math.min(share, 100)}%`, height: "100%",
+              background: barColor(share, budget.thresholds),
+              transition: "width 0.3s ease, background 0.3s ease",
+            }} />
+            {budget.thresholds.filter((pct) => pct < 100).map((pct) => (
+              <div key={pct} title={`${pct}%`} style={{
+                position: "absolute", top: 0, bottom: 0, left: `${pct}%`,
+                width: 2, background: "var(--surface)",
+              }} />
+            ))}
+          </div>
+        </>
+      )}
+
+      {overBudget && (
+        <div style={{
+          display: "flex", alignItems: "center", gap: 10, marginTop: 14,
+          padding: "10px 12px", borderRadius: 8,
+          background: "var(--red-dim)", border: "1px solid var(--red)44",
+          animation: "popIn 0.3s ease",
+        }}>
+          <p style={{ flex: 1, fontSize: 12, color: "var(--red)" }}>
+            ⚠ {t("budget.pushedOver", {
+              product: overBudget.product,
+              price: formatMoney(overBudget.price),
+              amount: formatMoney(total - (budget?.amount || 0)),
+            })}
+          </p>
+          {onUndo && <button onClick={() => onUndo(overBudget)} style={buttonStyle("danger")}>↶ {t("timeline.undo")}</button>}
+          <button onClick={onDismiss} title={t("conflicts.dismiss")} style={{
+            background: "none", border: "none", color: "var(--text-dim)", cursor: "pointer", fontSize: 14,
+          }}>
+            ✕
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
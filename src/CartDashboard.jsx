@@ -0,0 +1,948 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import { fetchProducts, lockCart, unlockCart, adjustStock } from "./api.js";
+import { describeError, isAbortError } from "./apiClient.js";
+import { ScanIcon, TrashIcon } from "./icons.jsx";
+import Header, { StatusPill } from "./Header.jsx";
+import { useLiveCart, TRANSPORT } from "./liveCart.js";
+import { itemQty, lineTotal, itemCount, findLine } from "./cartModel.js";
+import EnrollPanel from "./EnrollPanel.jsx";
+import ProductPalette from "./ProductPalette.jsx";
+import ScanTimeline from "./ScanTimeline.jsx";
+import { useScanTimeline, undoOpsFor } from "./timeline.js";
+import Toast, { useToast } from "./Toast.jsx";
+import PaymentModal from "./PaymentModal.jsx";
+import ReceiptModal from "./ReceiptModal.jsx";
+import { useOfflineQueue, sendOp, keyOp, describeOp, isNetworkError } from "./offlineQueue.js";
+import CartPicker from "./CartPicker.jsx";
+import { displayPath } from "./router.js";
+import { normalizeReceipt, cacheReceipts } from "./history.js";
+import { usePromotions, cartPricing, findCoupon } from "./promotions.js";
+import PriceBreakdown from "./PriceBreakdown.jsx";
+import ShoppingList from "./ShoppingList.jsx";
+import { useShoppingList, outstanding, unlistedTags } from "./shoppingList.js";
+import BudgetPanel from "./BudgetPanel.jsx";
+import { useBudget, crossedThreshold, isOverBudget } from "./budget.js";
+import ReaderSettings from "./ReaderSettings.jsx";
+import { useReaderSettings, useKeyboardWedge } from "./keyboardWedge.js";
+import { resolveCode } from "./barcode.js";
+import StockBadge from "./StockBadge.jsx";
+import { heldStock, availableStock, applyStockLevels, checkoutAdjustments } from "./inventory.js";
+import { can } from "./auth.js";
+import { useTaxConfig, computeTax, checkoutCharge } from "./tax.js";
+import { t, formatMoney, formatTime } from "./i18n.js";
+
+const TRANSPORT_LABELS = {
+  [TRANSPORT.CONNECTING]: "status.connecting",
+  [TRANSPORT.LIVE]: "status.live",
+  [TRANSPORT.POLLING]: "status.polling",
+  [TRANSPORT.OFFLINE]: "status.offline",
+};
+
+const PRODUCTS_CACHE_KEY = "smartcart.products";
+const MAX_RECENT_SCANS = 5;
+
+const stepperStyle = {
+  width: 26, height: 26,
+  background: "none", border: "none",
+  color: "var(--text)", cursor: "pointer",
+  fontFamily: "var(--mono)", fontSize: 14, fontWeight: 700,
+};
+
+// ─── CART DASHBOARD ───
+// One instance per cart. App mounts it with key={cartId}, so switching carts
+// remounts it and no poll, timeline or receipt state carries over.
+export default function CartDashboard({ cartId }) {
+  const [cart, setCart] = useState({ items: [], total: 0 });
+  const [products, setProducts] = useState({});
+  const [toast, showToast] = useToast();
+  const [receipt, setReceipt] = useState(null);
+  const [simTag, setSimTag] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [enroll, setEnroll] = useState(null); // { bulk, tags } while enrolling tags
+  const [recentScans, setRecentScans] = useState([]);
+  const [paying, setPaying] = useState(false);
+  const [completing, setCompleting] = useState(false);
+  const { entries, record, markUndone } = useScanTimeline(cartId);
+  const [shoppingList, setShoppingList] = useShoppingList(cartId);
+  const [budget, setBudget] = useBudget(cartId);
+  const [readerSettings, setReaderSettings] = useReaderSettings();
+  const [lastReaderCode, setLastReaderCode] = useState(null);
+  const canEdit = can("cart.edit");
+  const [overBudget, setOverBudget] = useState(null); // timeline entry that went over
+  const promotions = usePromotions();
+  const [taxConfig] = useTaxConfig();
+  const cartRef = useRef(cart);
+  const synced = useRef(false);
+  const ownWrites = useRef({ inFlight: 0, lastAt: 0 });
+
+  // Every cart change goes through here so the timeline sees it
+  const commitCart = (next, source, kind) => {
+    const prev = cartRef.current;
+    cartRef.current = next;
+    setCart(next);
+    const logged = record(prev, next, { source, kind, totalOf: grandTotalOf });
+    checkBudget(prev, next, logged);
+    checkStock(next, logged);
+  };
+
+  const grandTotalOf = (c) => computeTax(c.items, cartPricing(c, promotions), products, taxConfig).grandTotal;
+
+  // Threshold alerts escalate from a warning to an error at 100%. The change
+  // that first takes the cart over budget is kept for a one-tap undo.
+  const checkBudget = (prev, next, logged) => {
+    if (!budget) return;
+    const before = grandTotalOf(prev);
+    const after = grandTotalOf(next);
+    const pct = crossedThreshold(before, after, budget);
+    if (pct !== null) {
+      const amounts = { pct, total: formatMoney(after), amount: formatMoney(budget.amount) };
+      if (pct >= 100) showToast(`🚫 ${t("budget.reached", amounts)}`, "error");
+      else showToast(`💰 ${t("budget.threshold", amounts)}`, "warning");
+    }
+    if (!isOverBudget(after, budget)) setOverBudget(null);
+    else if (!isOverBudget(before, budget)) setOverBudget(logged.find((e) => e.to > e.from) || null);
+  };
+
+  // Holding more than the shelf count means the stock figure is off (or the
+  // delivery was never booked in); the sale still goes ahead
+  const checkStock = (next, logged) => {
+    const held = heldStock(next.items);
+    const short = logged.find((e) => e.to > e.from && availableStock(products[e.tagId], held.get(e.tagId)) < 0);
+    if (short) showToast(`📦 ${t("inventory.scannedOut", { product: short.product })}`, "warning");
+  };
+
+  // Backends that track stock send the new levels with the checkout;
+  // otherwise post the change. A 404 means stock is not tracked at all.
+  const syncStock = (stock, adjustments) => {
+    if (stock) {
+      updateProducts(applyStockLevels(products, stock));
+      return;
+    }
+    adjustStock(adjustments, "checkout")
+      .then((data) => data.products && updateProducts(data.products))
+      .catch((err) => err.status !== 404 && showToast(t("inventory.syncFailed"), "warning"));
+  };
+
+  // Live cart state (picks up ESP32 scans) – SSE with polling fallback.
+  // Snapshots requested before our own last write are stale and dropped;
+  // while one of our writes is in flight its echo is applied but not logged,
+  // since the write's own response logs it with the right source.
+  const transport = useLiveCart(cartId, {
+    onCart: (next, { requestedAt }) => {
+      if (requestedAt < ownWrites.current.lastAt) return;
+      if (!synced.current || ownWrites.current.inFlight > 0) {
+        synced.current = true;
+        cartRef.current = next;
+        setCart(next);
+        return;
+      }
+      commitCart(next, "esp32");
+    },
+    onScan: (data) => data.tag_id && pinRecent(data.tag_id),
+  });
+  const serverUp = transport === TRANSPORT.LIVE || transport === TRANSPORT.POLLING;
+
+  const [conflicts, setConflicts] = useState([]);
+  const { pending, enqueue, replaying } = useOfflineQueue(cartId, {
+    online: serverUp,
+    onReplayed: (op, data) => applyResult(op, data, "replay"),
+    onConflict: (conflict) => {
+      setConflicts((list) => [...list, { ...conflict, at: Date.now() }]);
+      showToast(`⚠ ${conflict.message}`, "error");
+    },
+  });
+
+  const updateProducts = useCallback((next) => {
+    setProducts(next);
+    try {
+      localStorage.setItem(PRODUCTS_CACHE_KEY, JSON.stringify(next));
+    } catch {
+      // cache is best-effort
+    }
+  }, []);
+
+  // Load products (cached so quick scan still works offline)
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchProducts({ signal: controller.signal })
+      .then((data) => updateProducts(data.products))
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        try {
+          const cached = JSON.parse(localStorage.getItem(PRODUCTS_CACHE_KEY));
+          if (cached) setProducts(cached);
+        } catch {
+          // nothing cached yet
+        }
+      });
+    return () => controller.abort();
+  }, [updateProducts]);
+
+  // Send an op now, or queue it while offline. Ops also queue behind any
+  // already pending ones so the server sees them in the order they were made.
+  const runOp = async (op) => {
+    // Keyed before the first attempt so a queued replay reuses the key
+    op = keyOp(op);
+    if (paying && op.type !== "checkout") {
+      showToast(`🔒 ${t("dashboard.locked")}`, "warning");
+      return null;
+    }
+    const queue = async () => {
+      await enqueue(op, cart);
+      showToast(`⏳ ${t("dashboard.queued", { op: describeOp(op, products) })}`, "warning");
+      return null;
+    };
+    if (!serverUp || pending.length > 0) return queue();
+    ownWrites.current.inFlight++;
+    try {
+      return await sendOp(cartId, op);
+    } catch (err) {
+      if (isNetworkError(err)) return queue();
+      throw err;
+    } finally {
+      ownWrites.current.inFlight--;
+      ownWrites.current.lastAt = Date.now();
+    }
+  };
+
+  const pinRecent = (tagId) =>
+    setRecentScans((list) => [tagId, ...list.filter((t) => t !== tagId)].slice(0, MAX_RECENT_SCANS));
+
+  // The scan toast goes first so a budget alert raised by the commit wins
+  const reportScan = (tagId, data, source) => {
+    pinRecent(tagId);
+    const line = findLine(data.cart.items, tagId);
+    const qty = line && itemQty(line) > 1 ? ` (×${itemQty(line)})` : "";
+    showToast(
+      `${data.action === "added" ? "✓" : "✗"} ${t(`scan.${data.action}`, { product: data.product })}${qty}`,
+      data.action === "added" ? "success" : "warning"
+    );
+    commitCart(data.cart, source);
+  };
+
+  const applyResult = (op, data, source) => {
+    switch (op.type) {
+      case "scan":
+        reportScan(op.tagId, data, source);
+        break;
+      case "clear":
+        commitCart(data.cart, source, "clear");
+        break;
+      case "checkout": {
+        // Older backends ignore the payments field and may not price
+        // promotions or GST; fill in whatever the receipt lacks
+        const local = op.pricing || {};
+        const priced = data.receipt.tax ? {}
+          : Array.isArray(data.receipt.discounts) ? { tax: local.tax, total: local.total }
+          : local;
+        const done = normalizeReceipt({
+          ...data.receipt,
+          ...priced,
+          payments: data.receipt.payments || op.payments || [],
+        }, cartId);
+        setReceipt(done);
+        cacheReceipts([done]);
+        syncStock(data.stock, checkoutAdjustments(done.items));
+        setShoppingList([]);
+        setBudget(null);
+        commitCart({ items: [], total: 0 }, source, "checkout");
+        break;
+      }
+      default:
+        commitCart(data.cart, source);
+    }
+  };
+
+  // Shared by the simulator box and USB readers. Barcodes resolve to their
+  // product's tag; an unknown code opens enrollment. Returns false when the
+  // scan failed and the code is worth retrying.
+  const scanCode = async (code, source) => {
+    const tagId = resolveCode(code, products) || code;
+    if (enroll?.bulk) {
+      collectEnrollTag(tagId);
+      return true;
+    }
+    setLoading(true);
+    let done = true;
+    try {
+      const op = { type: "scan", tagId };
+      const data = await runOp(op);
+      if (data) applyResult(op, data, source);
+    } catch (err) {
+      // Only a 404 means the tag is unknown; a locked cart, a server error or
+      // a timeout is reported as is, even for a tag missing from the catalog
+      if (err.status === 404) {
+        if (can("enroll")) {
+          setEnroll({ bulk: false, tags: [tagId] });
+          showToast(t("scan.unknownTag"), "warning");
+        } else {
+          showToast(t("scan.unknownTagNoEnroll", { tag: tagId }), "warning");
+        }
+      } else {
+        showToast(describeError(err, "scan.failed"), "error");
+        done = false;
+      }
+    }
+    setLoading(false);
+    return done;
+  };
+
+  const handleSimScan = async () => {
+    const tagId = simTag.trim();
+    if (!tagId) return;
+    if (await scanCode(tagId, "simulator")) setSimTag("");
+  };
+
+  // Readers only feed carts this role may change
+  const readerActive = useMemo(
+    () => ({ ...readerSettings, enabled: readerSettings.enabled && canEdit }),
+    [readerSettings, canEdit]
+  );
+  useKeyboardWedge(readerActive, {
+    onScan: (code) => {
+      setLastReaderCode(code);
+      scanCode(code, "reader");
+    },
+    onReject: (code) => showToast(t("reader.rejected", { code }), "warning"),
+  });
+
+  const collectEnrollTag = (tagId) => {
+    if (products[tagId]) {
+      showToast(t("enroll.alreadyEnrolled", { tag: tagId, name: products[tagId].name }), "warning");
+      return;
+    }
+    setEnroll((e) => (e.tags.includes(tagId) ? e : { ...e, tags: [...e.tags, tagId] }));
+  };
+
+  const handleEnrolled = (data, tags) => {
+    if (data.products) updateProducts(data.products);
+    if (enroll.bulk) {
+      setEnroll({ bulk: true, tags: [] });
+    } else {
+      // The shopper scanned this tag to buy it – finish that scan now
+      setEnroll(null);
+      handleQuickScan(tags[0]);
+    }
+  };
+
+  const handleQuickScan = async (tagId) => {
+    setLoading(true);
+    try {
+      const op = { type: "scan", tagId };
+      const data = await runOp(op);
+      if (data) applyResult(op, data, "quick");
+    } catch (err) {
+      showToast(describeError(err, "scan.failed"), "error");
+    }
+    setLoading(false);
+  };
+
+  // +/- on a cart row. Going below 1 is a removal, not a zero-qty line.
+  const handleQuantity = async (item, qty) => {
+    if (qty < 1) return handleRemove(item);
+    try {
+      const op = { type: "quantity", tagId: item.tag_id, qty };
+      const data = await runOp(op);
+      if (data) applyResult(op, data, "operator");
+    } catch (err) {
+      showToast(describeError(err, "dashboard.quantityFailed"), "error");
+    }
+  };
+
+  const handleRemove = async (item) => {
+    try {
+      const op = { type: "remove", tagId: item.tag_id };
+      const data = await runOp(op);
+      if (!data) return;
+      applyResult(op, data, "operator");
+      showToast(`✗ ${t("scan.removed", { product: item.name })}`, "warning");
+    } catch (err) {
+      showToast(describeError(err, "dashboard.removeFailed"), "error");
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      const op = { type: "clear" };
+      const data = await runOp(op);
+      if (!data) return;
+      applyResult(op, data, "operator");
+      showToast(t("dashboard.cleared"), "info");
+    } catch (err) {
+      showToast(describeError(err, "dashboard.clearFailed"), "error");
+    }
+  };
+
+  // Resolves true once the coupon is on the cart (or queued), so the
+  // field can clear itself
+  const handleApplyCoupon = async (code) => {
+    if ((cart.coupons || []).includes(code)) {
+      showToast(t("coupon.alreadyApplied", { code }), "warning");
+      return false;
+    }
+    if (promotions.length > 0 && !findCoupon(promotions, code)) {
+      showToast(t("coupon.unknown", { code }), "error");
+      return false;
+    }
+    try {
+      const op = { type: "coupon", code };
+      const data = await runOp(op);
+      if (data) {
+        applyResult(op, data, "operator");
+        showToast(`🏷 ${t("coupon.applied", { code })}`, "success");
+      }
+      return true;
+    } catch (err) {
+      showToast(describeError(err, err.status === 404 ? "coupon.unknown" : "coupon.rejected", { code }), "error");
+      return false;
+    }
+  };
+
+  const handleRemoveCoupon = async (code) => {
+    try {
+      const op = { type: "uncoupon", code };
+      const data = await runOp(op);
+      if (data) applyResult(op, data, "operator");
+    } catch (err) {
+      showToast(describeError(err, "coupon.removeFailed"), "error");
+    }
+  };
+
+  // CHECKOUT opens the payment step and locks the cart on the server so
+  // ESP32 scans cannot change the total mid-payment. If the lock call fails
+  // (offline) the dashboard controls are still locked locally.
+  const handleCheckout = async () => {
+    if (cart.items.length === 0 && pending.length === 0) return;
+    const missing = outstanding(shoppingList, cart.items);
+    if (missing.length > 0 && !window.confirm(t("list.checkoutWarning", {
+      count: missing.length,
+      items: missing.map((entry) => entry.text).join(", "),
+    }))) return;
+    setPaying(true);
+    lockCart(cartId).catch(() => {});
+  };
+
+  const handleCancelPayment = () => {
+    setPaying(false);
+    unlockCart(cartId).catch(() => {});
+  };
+
+  const handleCompletePayment = async (payments) => {
+    setCompleting(true);
+    try {
+      const pricing = cartPricing(cartRef.current, promotions);
+      const tax = computeTax(cartRef.current.items, pricing, products, taxConfig);
+      const op = {
+        type: "checkout",
+        payments,
+        charge: checkoutCharge(pricing, tax),
+        pricing: { subtotal: pricing.subtotal, discounts: pricing.discounts, tax, total: tax.grandTotal },
+      };
+      const data = await runOp(op);
+      setPaying(false);
+      if (data) applyResult(op, data, "operator");
+    } catch (err) {
+      // Rejected by the server (e.g. its total disagrees): back to the cart
+      setPaying(false);
+      showToast(describeError(err, "dashboard.checkoutFailed"), "error");
+      unlockCart(cartId).catch(() => {});
+    } finally {
+      setCompleting(false);
+    }
+  };
+
+  // Undo is limited to the current session: nothing before the last clear
+  // or checkout, since those lines are gone from the cart.
+  const sessionStart = entries.findIndex((e) => e.kind !== "item");
+  const canUndo = (entry) => {
+    if (!canEdit) return false;
+    const index = entries.indexOf(entry);
+    if (sessionStart !== -1 && index > sessionStart) return false;
+    const line = findLine(cart.items, entry.tagId);
+    return undoOpsFor(entry, line ? itemQty(line) : 0) !== null;
+  };
+
+  const handleUndo = async (entry) => {
+    const line = findLine(cartRef.current.items, entry.tagId);
+    const ops = undoOpsFor(entry, line ? itemQty(line) : 0);
+    if (!ops) {
+      showToast(t("timeline.nothingToUndo"), "warning");
+      return;
+    }
+    // Checked here so the entry stays undoable rather than being marked done
+    // by ops that runOp() turned away
+    if (paying) {
+      showToast(`🔒 ${t("dashboard.locked")}`, "warning");
+      return;
+    }
+    try {
+      let queued = false;
+      for (const op of ops) {
+        const data = await runOp(op);
+        if (data) applyResult(op, data, "undo");
+        else queued = true;
+      }
+      // runOp() has already said the ops were queued
+      if (queued) return;
+      markUndone(entry.id);
+      showToast(`↶ ${t("timeline.undid", { action: t(`scan.${entry.action}`, { product: entry.product }) })}`, "info");
+    } catch (err) {
+      showToast(describeError(err, "timeline.undoFailed"), "error");
+    }
+  };
+
+  const count = itemCount(cart.items);
+  const pricing = cartPricing(cart, promotions);
+  const tax = computeTax(cart.items, pricing, products, taxConfig);
+  const unlisted = unlistedTags(shoppingList, cart.items);
+  const held = heldStock(cart.items);
+
+  return (
+    <>
+      <Header>
+        <CartPicker current={cartId} />
+        <a
+          href={displayPath(cartId)}
+          target="_blank"
+          rel="noreferrer"
+          title={t("kiosk.openHint")}
+          style={{
+            padding: "6px 10px", borderRadius: 8, textDecoration: "none",
+            border: "1px solid var(--border)", color: "var(--text-dim)",
+            fontFamily: "var(--mono)", fontSize: 11, fontWeight: 700,
+          }}
+        >
+          {t("kiosk.open")} ↗
+        </a>
+        <StatusPill
+          connected={serverUp}
+          label={
+            replaying ? t("status.syncing")
+              : pending.length > 0 ? `${t(TRANSPORT_LABELS[transport])} · ${t("status.queued", { count: pending.length })}`
+              : t(TRANSPORT_LABELS[transport])
+          }
+        />
+      </Header>
+
+      {/* ─── TOAST ─── */}
+      <Toast toast={toast} />
+
+      {/* ─── PAYMENT / RECEIPT MODALS ─── */}
+      {paying && (
+        <PaymentModal
+          cartId={cartId}
+          total={tax.grandTotal}
+          busy={completing}
+          onCancel={handleCancelPayment}
+          onComplete={handleCompletePayment}
+        />
+      )}
+      {receipt && <ReceiptModal receipt={receipt} onClose={() => setReceipt(null)} />}
+
+      {/* ─── MAIN GRID ─── */}
+      <div style={{
+        display: "grid",
+        gridTemplateColumns: "1fr 1fr",
+        gap: 20,
+      }}>
+        {/* LEFT COLUMN */}
+        <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+          {/* SCAN SIMULATOR – cashiers and admins only */}
+          {canEdit && (
+            <div style={{
+              background: "var(--surface)", borderRadius: 14,
+              border: "1px solid var(--border)", padding: 24,
+              position: "relative", overflow: "hidden",
+            }}>
+              <div style={{
+                position: "absolute", top: 0, left: 0, right: 0, height: 3,
+                background: "linear-gradient(90deg, transparent, var(--accent), transparent)",
+                animation: loading ? "scanline 1s ease infinite" : "none",
+                opacity: loading ? 1 : 0,
+              }} />
+              <h3 style={{
+                fontFamily: "var(--mono)", fontSize: 12, fontWeight: 700,
+                color: "var(--text-dim)", marginBottom: 16,
+                textTransform: "uppercase", letterSpacing: 1.5,
+                display: "flex", alignItems: "center", gap: 8,
+              }}>
+                <ScanIcon /> {t("scanner.title")}
+                {can("enroll") && (
+                  <button
+                    onClick={() => setEnroll(enroll?.bulk ? null : { bulk: true, tags: [] })}
+                    style={{
+                      marginLeft: "auto", padding: "4px 10px", borderRadius: 6,
+                      background: enroll?.bulk ? "var(--yellow)" : "none",
+                      border: `1px solid ${enroll?.bulk ? "var(--yellow)" : "var(--border)"}`,
+                      color: enroll?.bulk ? "#000" : "var(--text-dim)", cursor: "pointer",
+                      fontFamily: "var(--mono)", fontSize: 10, fontWeight: 700, letterSpacing: 1,
+                    }}
+                  >
+                    {t(enroll?.bulk ? "scanner.exitEnroll" : "scanner.enrollMode")}
+                  </button>
+                )}
+              </h3>
+              <div style={{ display: "flex", gap: 10 }}>
+                <input
+                  type="text"
+                  placeholder={t(enroll?.bulk ? "scanner.enrollPlaceholder" : "scanner.placeholder")}
+                  value={simTag}
+                  onChange={(e) => setSimTag(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && handleSimScan()}
+                  style={{
+                    flex: 1, padding: "10px 14px",
+                    background: "var(--bg)", border: "1px solid var(--border)",
+                    borderRadius: 8, color: "var(--text)",
+                    fontFamily: "var(--mono)", fontSize: 13,
+                    outline: "none", transition: "border-color 0.2s",
+                  }}
+                  onFocus={(e) => (e.target.style.borderColor = "var(--accent)")}
+                  onBlur={(e) => (e.target.style.borderColor = "var(--border)")}
+                />
+                <button onClick={handleSimScan} disabled={loading || paying} style={{
+                  padding: "10px 20px", background: "var(--accent)", color: "#000",
+                  border: "none", borderRadius: 8, cursor: "pointer",
+                  fontFamily: "var(--mono)", fontWeight: 700, fontSize: 13,
+                  opacity: loading ? 0.6 : 1,
+                }}>
+                  {t(enroll?.bulk ? "scanner.add" : "scanner.scan")}
+                </button>
+              </div>
+              <ReaderSettings settings={readerSettings} onChange={setReaderSettings} lastCode={lastReaderCode} />
+
+              {enroll && (
+                <EnrollPanel
+                  key={enroll.bulk ? "bulk" : enroll.tags[0]}
+                  tags={enroll.tags}
+                  products={products}
+                  bulk={enroll.bulk}
+                  onRemoveTag={(tag) => setEnroll((e) => ({ ...e, tags: e.tags.filter((t) => t !== tag) }))}
+                  onEnrolled={handleEnrolled}
+                  onCancel={() => setEnroll(null)}
+                  showToast={showToast}
+                />
+              )}
+
+              {/* Quick scan palette */}
+              <div style={{ marginTop: 16 }}>
+                <p style={{ fontSize: 11, color: "var(--text-dim)", fontFamily: "var(--mono)", marginBottom: 8 }}>
+                  {t("scanner.quickScan")}
+                </p>
+                <ProductPalette
+                  products={products}
+                  cartItems={cart.items}
+                  recent={recentScans}
+                  onScan={handleQuickScan}
+                  disabled={loading || paying}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* SHOPPING LIST */}
+          <ShoppingList
+            list={shoppingList}
+            onChange={setShoppingList}
+            products={products}
+            items={cart.items}
+            onError={(message) => showToast(message, "error")}
+          />
+
+          {/* SCAN TIMELINE */}
+          <ScanTimeline entries={entries} canUndo={canUndo} onUndo={handleUndo} />
+
+          {/* SYNC CONFLICTS */}
+          {conflicts.length > 0 && (
+            <div style={{
+              background: "var(--surface)", borderRadius: 14,
+              border: "1px solid var(--red)44",
+              padding: 20, animation: "popIn 0.3s ease",
+            }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+                <h3 style={{
+                  fontFamily: "var(--mono)", fontSize: 12, fontWeight: 700,
+                  color: "var(--red)", textTransform: "uppercase", letterSpacing: 1.5,
+                }}>
+                  {t("conflicts.title", { count: conflicts.length })}
+                </h3>
+                <button onClick={() => setConflicts([])} style={{
+                  padding: "4px 10px", borderRadius: 6,
+                  background: "none", border: "1px solid var(--border)",
+                  color: "var(--text-dim)", cursor: "pointer",
+                  fontFamily: "var(--mono)", fontSize: 10, fontWeight: 700,
+                }}>
+                  {t("conflicts.dismiss")}
+                </button>
+              </div>
+              {conflicts.map((c, i) => (
+                <p key={i} style={{ fontSize: 13, padding: "6px 0", color: "var(--text)" }}>
+                  <span style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--text-dim)", marginRight: 8 }}>
+                    {formatTime(c.at)}
+                  </span>
+                  {c.message}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {/* STATS */}
+          <div style={{
+            display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12,
+          }}>
+            {[
+              { label: t("stats.items"), value: count, color: "var(--accent)" },
+              {
+                label: t("stats.total"),
+                value: formatMoney(tax.grandTotal),
+                color: isOverBudget(tax.grandTotal, budget) ? "var(--red)" : "var(--green)",
+              },
+            ].map((s) => (
+              <div key={s.label} style={{
+                background: "var(--surface)", borderRadius: 14,
+                border: "1px solid var(--border)", padding: 20,
+                textAlign: "center",
+              }}>
+                <p style={{
+                  fontFamily: "var(--mono)", fontSize: 11,
+                  color: "var(--text-dim)", letterSpacing: 1.5,
+                  marginBottom: 6,
+                }}>{s.label}</p>
+                <p style={{
+                  fontFamily: "var(--mono)", fontSize: 32, fontWeight: 700,
+                  color: s.color,
+                }}>{s.value}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* BUDGET */}
+          <BudgetPanel
+            budget={budget}
+            onChange={setBudget}
+            total={tax.grandTotal}
+            overBudget={isOverBudget(tax.grandTotal, budget) ? overBudget : null}
+            onUndo={canEdit ? handleUndo : null}
+            onDismiss={() => setOverBudget(null)}
+          />
+        </div>
+
+        {/* RIGHT COLUMN – CART */}
+        <div style={{
+          background: "var(--surface)", borderRadius: 14,
+          border: "1px solid var(--border)",
+          display: "flex", flexDirection: "column",
+          minHeight: 500,
+        }}>
+          <div style={{
+            padding: "20px 24px", borderBottom: "1px solid var(--border)",
+            display: "flex", justifyContent: "space-between", alignItems: "center",
+          }}>
+            <h3 style={{
+              fontFamily: "var(--mono)", fontSize: 12, fontWeight: 700,
+              color: "var(--text-dim)", textTransform: "uppercase",
+              letterSpacing: 1.5,
+            }}>
+              🛒 {t("cart.title", { count })}
+            </h3>
+            {cart.items.length > 0 && can("cart.clear") && (
+              <button onClick={handleClear} disabled={paying} style={{
+                display: "flex", alignItems: "center", gap: 6,
+                padding: "6px 12px", borderRadius: 6,
+                background: "var(--red-dim)", border: "1px solid var(--red)44",
+                color: "var(--red)", cursor: "pointer",
+                fontFamily: "var(--mono)", fontSize: 11, fontWeight: 700,
+              }}>
+                <TrashIcon /> {t("cart.clear")}
+              </button>
+            )}
+          </div>
+
+          <div style={{ flex: 1, padding: "12px 24px", overflowY: "auto" }}>
+            {cart.items.length === 0 && pending.length === 0 ? (
+              <div style={{
+                height: "100%", display: "flex", flexDirection: "column",
+                alignItems: "center", justifyContent: "center",
+                color: "var(--text-dim)", textAlign: "center",
+              }}>
+                <p style={{ fontSize: 48, marginBottom: 12, opacity: 0.3 }}>🛒</p>
+                <p style={{ fontFamily: "var(--mono)", fontSize: 13 }}>{t("cart.empty")}</p>
+                <p style={{ fontSize: 12, marginTop: 4 }}>{t("cart.emptyHint")}</p>
+              </div>
+            ) : (
+              <>
+                {cart.items.map((item, i) => (
+                  <div key={item.tag_id} style={{
+                    display: "flex", justifyContent: "space-between",
+                    alignItems: "center", padding: "14px 0",
+                    borderBottom: i < cart.items.length - 1 ? "1px solid var(--border)" : "none",
+                    animation: `slideUp 0.3s ease ${i * 0.05}s both`,
+                    ...(unlisted.has(item.tag_id) && {
+                      borderLeft: "3px solid var(--yellow)", paddingLeft: 10, marginLeft: -13,
+                    }),
+                  }}>
+                    <div>
+                      <p style={{ fontSize: 15, fontWeight: 500 }}>
+                        {item.name}
+                        {unlisted.has(item.tag_id) && (
+                          <span style={{
+                            marginLeft: 8, padding: "2px 6px", borderRadius: 4,
+                            background: "var(--yellow)22", color: "var(--yellow)",
+                            fontFamily: "var(--mono)", fontSize: 9, fontWeight: 700, letterSpacing: 1,
+                            verticalAlign: "middle",
+                          }}>
+                            {t("list.unlisted")}
+                          </span>
+                        )}
+                      </p>
+                      <p style={{
+                        fontFamily: "var(--mono)", fontSize: 10,
+                        color: "var(--text-dim)", marginTop: 3,
+                      }}>
+                        {item.category} · {item.tag_id.slice(0, 8)}
+                        {products[item.tag_id] && (
+                          <span style={{ marginLeft: 8 }}>
+                            <StockBadge product={products[item.tag_id]} held={held.get(item.tag_id)} />
+                          </span>
+                        )}
+                      </p>
+                    </div>
+                    <div style={{ display: "flex", alignItems: "center", gap: 14 }}>
+                      <div style={{
+                        display: "flex", alignItems: "center",
+                        border: "1px solid var(--border)", borderRadius: 6,
+                        fontFamily: "var(--mono)", fontSize: 13,
+                      }}>
+                        {canEdit && <button onClick={() => handleQuantity(item, itemQty(item) - 1)} disabled={paying} style={stepperStyle} title={t("cart.decrease")}>−</button>}
+                        <span style={{ minWidth: 28, textAlign: "center", fontWeight: 700 }}>{itemQty(item)}</span>
+                        {canEdit && <button onClick={() => handleQuantity(item, itemQty(item) + 1)} disabled={paying} style={stepperStyle} title={t("cart.increase")}>+</button>}
+                      </div>
+                      <div style={{ textAlign: "right", minWidth: 72 }}>
+                        <p style={{
+                          fontFamily: "var(--mono)", fontSize: 16, fontWeight: 700,
+                          color: "var(--accent)",
+                        }}>
+                          {formatMoney(lineTotal(item))}
+                        </p>
+                        {itemQty(item) > 1 && (
+                          <p style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--text-dim)", marginTop: 2 }}>
+                            {itemQty(item)} × {formatMoney(item.price)}
+                          </p>
+                        )}
+                      </div>
+                      {canEdit && (
+                        <button onClick={() => handleRemove(item)} disabled={paying} title={t("cart.remove")} style={{
+                          display: "flex", padding: 6, borderRadius: 6,
+                          background: "none", border: "1px solid transparent",
+                          color: "var(--red)", cursor: "pointer",
+                        }}>
+                          <TrashIcon />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                {pricing.discounts.map((d) => (
+                  <div key={d.id} style={{
+                    display: "flex", justifyContent: "space-between",
+                    alignItems: "center", padding: "12px 0",
+                    borderTop: "1px dashed var(--green)44",
+                    animation: "fadeIn 0.2s ease",
+                  }}>
+                    <div>
+                      <p style={{ fontSize: 14, color: "var(--green)" }}>🏷 {d.label}</p>
+                      <p style={{
+                        fontFamily: "var(--mono)", fontSize: 10,
+                        color: "var(--text-dim)", marginTop: 3,
+                      }}>
+                        {t("cart.promotion")}
+                      </p>
+                    </div>
+                    <p style={{
+                      fontFamily: "var(--mono)", fontSize: 16, fontWeight: 700,
+                      color: "var(--green)", marginRight: 40,
+                    }}>
+                      −{formatMoney(d.amount)}
+                    </p>
+                  </div>
+                ))}
+                {pending.map((op) => (
+                  <div key={op.seq} style={{
+                    display: "flex", justifyContent: "space-between",
+                    alignItems: "center", padding: "12px 0",
+                    borderTop: "1px dashed var(--border)",
+                    opacity: 0.75, animation: "fadeIn 0.2s ease",
+                  }}>
+                    <div>
+                      <p style={{ fontSize: 14, fontStyle: "italic" }}>{describeOp(op, products)}</p>
+                      <p style={{
+                        fontFamily: "var(--mono)", fontSize: 10,
+                        color: "var(--text-dim)", marginTop: 3,
+                      }}>
+                        {t("cart.queuedAt", { time: formatTime(op.queuedAt) })}
+                      </p>
+                    </div>
+                    <span style={{
+                      padding: "3px 8px", borderRadius: 4,
+                      background: "var(--yellow)22", border: "1px solid var(--yellow)66",
+                      color: "var(--yellow)", fontFamily: "var(--mono)",
+                      fontSize: 10, fontWeight: 700, letterSpacing: 1,
+                    }}>
+                      {t("cart.pending")}
+                    </span>
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+
+          {/* CHECKOUT FOOTER */}
+          {(cart.items.length > 0 || pending.length > 0) && (
+            <div style={{
+              padding: "16px 24px", borderTop: "1px solid var(--border)",
+            }}>
+              <PriceBreakdown
+                pricing={pricing}
+                tax={tax}
+                coupons={cart.coupons}
+                disabled={paying || !canEdit}
+                onApply={handleApplyCoupon}
+                onRemove={handleRemoveCoupon}
+              />
+              <div style={{
+                display: "flex", justifyContent: "space-between",
+                marginBottom: 14, fontFamily: "var(--mono)",
+              }}>
+                <span style={{ fontSize: 14, color: "var(--text-dim)" }}>
+                  {t("cart.items", { count })}
+                </span>
+                <span style={{ fontSize: 20, fontWeight: 700, color: "var(--green)" }}>
+                  {formatMoney(tax.grandTotal)}
+                </span>
+              </div>
+              {can("cart.checkout") ? (
+                <button onClick={handleCheckout} style={{
+                  width: "100%", padding: "14px",
+                  background: "linear-gradient(135deg, var(--green), #059669)",
+                  color: "#fff", border: "none", borderRadius: 10,
+                  cursor: "pointer", fontFamily: "var(--mono)",
+                  fontWeight: 700, fontSize: 14, letterSpacing: 1,
+                  boxShadow: "0 4px 20px var(--green-dim)",
+                  transition: "transform 0.15s, box-shadow 0.15s",
+                }}
+                  onMouseDown={(e) => (e.target.style.transform = "scale(0.98)")}
+                  onMouseUp={(e) => (e.target.style.transform = "scale(1)")}
+                >
+                  {t("cart.checkout")} →
+                </button>
+              ) : (
+                <p style={{ textAlign: "center", fontFamily: "var(--mono)", fontSize: 12, color: "var(--text-dim)" }}>
+                  {t("cart.askCashier")}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
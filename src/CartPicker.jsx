@@ -0,0 +1,134 @@
+import { useState, useEffect } from "react";
+import { DEFAULT_CART_ID, fetchCarts } from "./api.js";
+import { navigate, cartPath } from "./router.js";
+import { getSettings } from "./settings.js";
+import { t } from "./i18n.js";
+
+// ─── KNOWN CARTS ───
+// Carts come from /api/carts when the backend lists them; carts opened from
+// this browser are remembered too so deep links still show up offline. The
+// cart this device is set up for (settings.js) is listed first.
+const RECENT_KEY = "smartcart.recentCarts";
+const MAX_RECENT = 12;
+
+function loadRecentCarts() {
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+export function rememberCart(cartId) {
+  const list = [cartId, ...loadRecentCarts().filter((id) => id !== cartId)];
+  try {
+    localStorage.setItem(RECENT_KEY, JSON.stringify(list.slice(0, MAX_RECENT)));
+  } catch {
+    // storage full or disabled – recents are a convenience only
+  }
+}
+
+function useKnownCarts() {
+  const [remote, setRemote] = useState([]);
+  useEffect(() => {
+    let active = true;
+    const controller = new AbortController();
+    fetchCarts({ signal: controller.signal })
+      .then((data) => {
+        if (!active) return;
+        const ids = (data.carts || []).map((c) => (typeof c === "string" ? c : c.id || c.cart_id));
+        setRemote(ids.filter(Boolean));
+      })
+      .catch(() => {});
+    return () => {
+      active = false;
+      controller.abort();
+    };
+  }, []);
+  return [...new Set([getSettings().cartId, ...remote, ...loadRecentCarts(), DEFAULT_CART_ID].filter(Boolean))];
+}
+
+const fieldStyle = {
+  padding: "6px 10px",
+  background: "var(--bg)", border: "1px solid var(--border)",
+  borderRadius: 8, color: "var(--text)",
+  fontFamily: "var(--mono)", fontSize: 12,
+  outline: "none",
+};
+
+// ─── HEADER SWITCHER ───
+export default function CartPicker({ current }) {
+  const carts = useKnownCarts();
+  const options = carts.includes(current) ? carts : [current, ...carts];
+
+  return (
+    <select
+      value={current}
+      onChange={(e) => navigate(cartPath(e.target.value))}
+      title={t("picker.switch")}
+      style={{ ...fieldStyle, cursor: "pointer" }}
+    >
+      {options.map((id) => (
+        <option key={id} value={id}>{t("picker.option", { id })}</option>
+      ))}
+    </select>
+  );
+}
+
+// ─── PICKER PAGE ───
+export function CartPickerPage() {
+  const carts = useKnownCarts();
+  const [newId, setNewId] = useState("");
+
+  const open = (id) => {
+    const trimmed = id.trim();
+    if (trimmed) navigate(cartPath(trimmed));
+  };
+
+  return (
+    <div style={{
+      background: "var(--surface)", borderRadius: 14,
+      border: "1px solid var(--border)", padding: 24,
+      maxWidth: 560, margin: "0 auto",
+      animation: "slideUp 0.3s ease",
+    }}>
+      <h3 style={{
+        fontFamily: "var(--mono)", fontSize: 12, fontWeight: 700,
+        color: "var(--text-dim)", marginBottom: 16,
+        textTransform: "uppercase", letterSpacing: 1.5,
+      }}>
+        {t("picker.title")}
+      </h3>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(140px, 1fr))", gap: 10 }}>
+        {carts.map((id) => (
+          <button key={id} onClick={() => open(id)} style={{
+            padding: "14px 12px", borderRadius: 10,
+            background: "var(--surface-2)", border: "1px solid var(--border)",
+            color: "var(--text)", cursor: "pointer", textAlign: "left",
+            fontFamily: "var(--mono)", fontSize: 13, fontWeight: 700,
+          }}>
+            🛒 {id}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 10, marginTop: 20 }}>
+        <input
+          type="text"
+          placeholder={t("picker.placeholder")}
+          value={newId}
+          onChange={(e) => setNewId(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && open(newId)}
+          style={{ ...fieldStyle, flex: 1, padding: "10px 14px", fontSize: 13 }}
+        />
+        <button onClick={() => open(newId)} style={{
+          padding: "10px 20px", background: "var(--accent)", color: "#000",
+          border: "none", borderRadius: 8, cursor: "pointer",
+          fontFamily: "var(--mono)", fontWeight: 700, fontSize: 13,
+        }}>
+          {t("picker.open")}
+        </button>
+      </div>
+    </div>
+  );
+}
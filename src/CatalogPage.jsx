@@ -0,0 +1,288 @@
+import { useState, useEffect, useRef } from "react";
+import { fetchProducts, createProduct, updateProduct, deleteProduct, importProducts, adjustStock } from "./api.js";
+import { describeError, useUnmountSignal, isAbortError } from "./apiClient.js";
+import { CATALOG_COLUMNS, catalogRows, rowsToCatalog, validateProduct, cleanProduct, parseCatalogFile } from "./catalog.js";
+import { toCsv } from "./csv.js";
+import { downloadFile, readFileText, dateStamp } from "./download.js";
+import { panelStyle, sectionTitleStyle, inputStyle, buttonStyle, thStyle, tdStyle } from "./ui.js";
+import { GST_SLABS } from "./tax.js";
+import TaxSettings from "./TaxSettings.jsx";
+import LowStockReport from "./LowStockReport.jsx";
+import StockBadge from "./StockBadge.jsx";
+import { t, formatMoney } from "./i18n.js";
+import Toast, { useToast } from "./Toast.jsx";
+
+// ─── CATALOG MANAGEMENT ───
+const EMPTY_DRAFT = { tag_id: "", name: "", category: "", price: "", gst_rate: "", barcode: "", stock: "", reorder_level: "" };
+
+function ProductForm({ initial, originalTag, products, onSave, onCancel }) {
+  const [draft, setDraft] = useState(initial);
+  const [touched, setTouched] = useState(false);
+  const errors = validateProduct(draft, products, originalTag);
+  const shown = touched ? errors : {};
+  const field = (key, props = {}) => (
+    <div>
+      <input
+        value={draft[key]}
+        onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+        style={{ ...inputStyle, borderColor: shown[key] ? "var(--red)" : "var(--border)" }}
+        {...props}
+      />
+      {shown[key] && (
+        <p style={{ fontSize: 10, color: "var(--red)", marginTop: 3, fontFamily: "var(--mono)" }}>{shown[key]}</p>
+      )}
+    </div>
+  );
+
+  const submit = () => {
+    setTouched(true);
+    if (Object.keys(errors).length === 0) onSave(cleanProduct(draft));
+  };
+
+  return (
+    <tr style={{ background: "var(--surface-2)" }}>
+      <td style={tdStyle}>{field("tag_id", { placeholder: t("catalog.placeholders.tag") })}</td>
+      <td style={tdStyle}>{field("name", { placeholder: t("catalog.placeholders.name") })}</td>
+      <td style={tdStyle}>{field("category", { placeholder: t("catalog.placeholders.category"), list: "catalog-categories" })}</td>
+      <td style={tdStyle}>{field("price", { type: "number", min: "0", step: "0.01", placeholder: t("catalog.placeholders.price") })}</td>
+      <td style={tdStyle}>
+        <select
+          value={draft.gst_rate}
+          onChange={(e) => setDraft({ ...draft, gst_rate: e.target.value })}
+          style={{ ...inputStyle, cursor: "pointer" }}
+        >
+          <option value="">{t("catalog.categoryRate")}</option>
+          {GST_SLABS.map((rate) => <option key={rate} value={rate}>{rate}%</option>)}
+        </select>
+      </td>
+      <td style={tdStyle}>{field("barcode", { placeholder: t("catalog.placeholders.barcode"), inputMode: "numeric" })}</td>
+      <td style={tdStyle}>
+        <div style={{ display: "flex", gap: 6 }}>
+          {field("stock", { type: "number", min: "0", step: "1", placeholder: t("inventory.untracked"), title: t("inventory.columns.stock") })}
+          {field("reorder_level", { type: "number", min: "0", step: "1", placeholder: "5", title: t("inventory.columns.reorderLevel") })}
+        </div>
+      </td>
+      <td style={{ ...tdStyle, whiteSpace: "nowrap", textAlign: "right" }}>
+        <button onClick={submit} style={{ ...buttonStyle("success"), marginRight: 6 }}>{t("common.save")}</button>
+        <button onClick={onCancel} style={buttonStyle("ghost")}>{t("common.cancel")}</button>
+      </td>
+    </tr>
+  );
+}
+
+export default function CatalogPage() {
+  const [products, setProducts] = useState({});
+  const [loaded, setLoaded] = useState(false);
+  const [query, setQuery] = useState("");
+  const [editing, setEditing] = useState(null); // tag being edited, or "new"
+  const [importPreview, setImportPreview] = useState(null); // { rows, errors }
+  const [toast, showToast] = useToast();
+  const fileInput = useRef(null);
+  const unmountSignal = useUnmountSignal();
+
+  const reload = () =>
+    fetchProducts({ signal: unmountSignal() })
+      .then((data) => setProducts(data.products))
+      .catch((err) => !isAbortError(err) && showToast(describeError(err, "catalog.loadFailed"), "error"))
+      .finally(() => setLoaded(true));
+
+  useEffect(() => { reload(); }, []);
+
+  // Write endpoints answer with the updated catalog; refetch if one doesn't
+  const applyCatalog = (data) => (data?.products ? setProducts(data.products) : reload());
+
+  const handleSave = async (originalTag, product) => {
+    try {
+      const data = originalTag
+        ? await updateProduct(originalTag, product)
+        : await createProduct(product);
+      applyCatalog(data);
+      setEditing(null);
+      showToast(`✓ ${t("catalog.saved", { name: product.name })}`, "success");
+    } catch (err) {
+      showToast(describeError(err, "catalog.saveFailed"), "error");
+    }
+  };
+
+  const handleDelete = async (row) => {
+    if (!window.confirm(t("catalog.confirmDelete", { name: row.name, tag: row.tag_id }))) return;
+    try {
+      applyCatalog(await deleteProduct(row.tag_id));
+      showToast(t("catalog.deleted", { name: row.name }), "info");
+    } catch (err) {
+      showToast(describeError(err, "catalog.deleteFailed"), "error");
+    }
+  };
+
+  const handleRestock = async (row, qty) => {
+    try {
+      applyCatalog(await adjustStock([{ tag_id: row.tag_id, delta: qty }], "restock"));
+      showToast(`✓ ${t("inventory.restocked", { name: row.name, count: qty })}`, "success");
+      return true;
+    } catch (err) {
+      showToast(describeError(err, "inventory.restockFailed"), "error");
+      return false;
+    }
+  };
+
+  const handleExport = (format) => {
+    const rows = catalogRows(products);
+    if (format === "csv") {
+      downloadFile(`catalog-${dateStamp()}.csv`, toCsv(rows, CATALOG_COLUMNS), "text/csv");
+    } else {
+      downloadFile(`catalog-${dateStamp()}.json`, JSON.stringify({ products: rowsToCatalog(rows) }, null, 2), "application/json");
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setImportPreview(parseCatalogFile(file.name, await readFileText(file)));
+    } catch {
+      showToast(t("catalog.readFailed"), "error");
+    }
+  };
+
+  const handleImport = async (mode) => {
+    try {
+      applyCatalog(await importProducts(importPreview.rows, mode));
+      showToast(`✓ ${t("catalog.imported", { count: importPreview.rows.length })}`, "success");
+      setImportPreview(null);
+    } catch (err) {
+      showToast(describeError(err, "catalog.importFailed"), "error");
+    }
+  };
+
+  const q = query.trim().toLowerCase();
+  const rows = catalogRows(products).filter((r) =>
+    !q || [r.tag_id, r.name, r.category, r.barcode].some((v) => String(v).toLowerCase().includes(q))
+  );
+  const categories = [...new Set(Object.values(products).map((p) => p.category).filter(Boolean))];
+
+  return (
+    <div style={{ display: "grid", gap: 20 }}>
+      <div style={{ ...panelStyle, animation: "slideUp 0.3s ease" }}>
+        <Toast toast={toast} />
+        <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", marginBottom: 16 }}>
+          <h3 style={{ ...sectionTitleStyle, marginBottom: 0, marginRight: "auto" }}>
+            {t("catalog.title", { count: Object.keys(products).length })}
+          </h3>
+          <input
+            placeholder={t("catalog.search")}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            style={{ ...inputStyle, width: 220 }}
+          />
+          <button onClick={() => setEditing("new")} style={buttonStyle("primary")}>+ {t("catalog.add")}</button>
+          <button onClick={() => fileInput.current.click()} style={buttonStyle("ghost")}>{t("catalog.import")}</button>
+          <button onClick={() => handleExport("csv")} style={buttonStyle("ghost")}>{t("catalog.exportCsv")}</button>
+          <button onClick={() => handleExport("json")} style={buttonStyle("ghost")}>{t("catalog.exportJson")}</button>
+          <input ref={fileInput} type="file" accept=".csv,.json" onChange={handleFile} style={{ display: "none" }} />
+        </div>
+
+        {importPreview && (
+          <div style={{
+            padding: 16, borderRadius: 10, marginBottom: 16,
+            background: "var(--bg)", border: "1px solid var(--accent)44",
+          }}>
+            <p style={{ fontFamily: "var(--mono)", fontSize: 12, fontWeight: 700, marginBottom: 8 }}>
+              {t("catalog.importReady", { count: importPreview.rows.length })}
+              {importPreview.errors.length > 0 && (
+                <span style={{ color: "var(--red)" }}> · {t("catalog.rejected", { count: importPreview.errors.length })}</span>
+              )}
+            </p>
+            {importPreview.errors.slice(0, 8).map((err) => (
+              <p key={err} style={{ fontSize: 11, color: "var(--red)", fontFamily: "var(--mono)" }}>{err}</p>
+            ))}
+            {importPreview.errors.length > 8 && (
+              <p style={{ fontSize: 11, color: "var(--text-dim)" }}>{t("catalog.moreErrors", { count: importPreview.errors.length - 8 })}</p>
+            )}
+            <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+              <button disabled={importPreview.rows.length === 0} onClick={() => handleImport("merge")} style={buttonStyle("primary")}>
+                {t("catalog.merge")}
+              </button>
+              <button
+                disabled={importPreview.rows.length === 0}
+                onClick={() => window.confirm(t("catalog.confirmReplace")) && handleImport("replace")}
+                style={buttonStyle("danger")}
+              >
+                {t("catalog.replace")}
+              </button>
+              <button onClick={() => setImportPreview(null)} style={buttonStyle("ghost")}>{t("common.cancel")}</button>
+            </div>
+          </div>
+        )}
+
+        <datalist id="catalog-categories">
+          {categories.map((c) => <option key={c} value={c} />)}
+        </datalist>
+
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <th style={thStyle}>{t("catalog.columns.tag")}</th>
+                <th style={thStyle}>{t("catalog.columns.name")}</th>
+                <th style={thStyle}>{t("catalog.columns.category")}</th>
+                <th style={thStyle}>{t("catalog.columns.price")}</th>
+                <th style={thStyle}>{t("catalog.columns.gst")}</th>
+                <th style={thStyle}>{t("catalog.columns.barcode")}</th>
+                <th style={thStyle}>{t("inventory.columns.stockReorder")}</th>
+                <th style={thStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {editing === "new" && (
+                <ProductForm
+                  initial={EMPTY_DRAFT}
+                  products={products}
+                  onSave={(product) => handleSave(null, product)}
+                  onCancel={() => setEditing(null)}
+                />
+              )}
+              {rows.map((row) => editing === row.tag_id ? (
+                <ProductForm
+                  key={row.tag_id}
+                  initial={{ ...row, price: String(row.price), gst_rate: row.gst_rate ?? "", barcode: row.barcode ?? "", stock: row.stock ?? "", reorder_level: row.reorder_level ?? "" }}
+                  originalTag={row.tag_id}
+                  products={products}
+                  onSave={(product) => handleSave(row.tag_id, product)}
+                  onCancel={() => setEditing(null)}
+                />
+              ) : (
+                <tr key={row.tag_id}>
+                  <td style={{ ...tdStyle, fontFamily: "var(--mono)", fontSize: 12 }}>{row.tag_id}</td>
+                  <td style={tdStyle}>{row.name}</td>
+                  <td style={{ ...tdStyle, color: "var(--text-dim)" }}>{row.category}</td>
+                  <td style={{ ...tdStyle, fontFamily: "var(--mono)", color: "var(--accent)" }}>{formatMoney(row.price)}</td>
+                  <td style={{ ...tdStyle, fontFamily: "var(--mono)", color: "var(--text-dim)" }}>
+                    {row.gst_rate ?? "—"}{row.gst_rate !== undefined && "%"}
+                  </td>
+                  <td style={{ ...tdStyle, fontFamily: "var(--mono)", fontSize: 12, color: "var(--text-dim)" }}>{row.barcode || "—"}</td>
+                  <td style={{ ...tdStyle, fontFamily: "var(--mono)", fontSize: 12, whiteSpace: "nowrap" }}>
+                    {row.stock ?? "—"}
+                    <span style={{ color: "var(--text-dim)" }}> / {row.reorder_level ?? "—"}</span>
+                    <span style={{ marginLeft: 8 }}><StockBadge product={row} alertsOnly /></span>
+                  </td>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap", textAlign: "right" }}>
+                    <button onClick={() => setEditing(row.tag_id)} style={{ ...buttonStyle("ghost"), marginRight: 6 }}>{t("common.edit")}</button>
+                    <button onClick={() => handleDelete(row)} style={buttonStyle("danger")}>{t("common.delete")}</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {loaded && rows.length === 0 && (
+            <p style={{ textAlign: "center", padding: 32, color: "var(--text-dim)", fontFamily: "var(--mono)", fontSize: 13 }}>
+              {t(q ? "catalog.noMatches" : "catalog.empty")}
+            </p>
+          )}
+        </div>
+      </div>
+      <LowStockReport products={products} onRestock={handleRestock} />
+      <TaxSettings categories={categories} onError={(msg) => showToast(msg, "error")} />
+    </div>
+  );
+}
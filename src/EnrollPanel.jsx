@@ -0,0 +1,148 @@
+import { useState } from "react";
+import { enrollTags } from "./api.js";
+import { describeError } from "./apiClient.js";
+import { inputStyle, labelStyle } from "./ui.js";
+import { t, formatMoney, getLocale } from "./i18n.js";
+
+// ─── TAG ENROLLMENT ───
+// Binds one or more unknown RFID tags to a product. Opened automatically when
+// a scan hits an unknown tag, or fed tag after tag in bulk enroll mode.
+
+// The catalog is keyed by tag, so one product with several tags shows up
+// several times; collapse those into one choice per distinct product.
+function distinctProducts(products) {
+  const seen = new Map();
+  for (const [tag, prod] of Object.entries(products)) {
+    const key = `${prod.name}|${prod.price}|${prod.category}`;
+    if (!seen.has(key)) seen.set(key, { tag, ...prod });
+  }
+  return [...seen.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export default function EnrollPanel({ tags, products, bulk, onRemoveTag, onEnrolled, onCancel, showToast }) {
+  const choices = distinctProducts(products);
+  const categories = [...new Set(choices.map((p) => p.category).filter(Boolean))];
+  const [mode, setMode] = useState(choices.length > 0 ? "existing" : "new");
+  const [productTagId, setProductTagId] = useState(choices[0]?.tag || "");
+  const [draft, setDraft] = useState({ name: "", price: "", category: "" });
+  const [saving, setSaving] = useState(false);
+
+  const price = Number(draft.price);
+  const valid = tags.length > 0 && (mode === "existing"
+    ? Boolean(products[productTagId])
+    : draft.name.trim() !== "" && Number.isFinite(price) && price > 0);
+
+  const handleEnroll = async () => {
+    if (!valid) return;
+    setSaving(true);
+    try {
+      const target = mode === "existing"
+        ? { productTagId }
+        : { product: { name: draft.name.trim(), price, category: draft.category.trim() || "General" } };
+      const data = await enrollTags(tags, target);
+      const name = mode === "existing" ? products[productTagId].name : target.product.name;
+      showToast(`✓ ${t("enroll.enrolled", { count: tags.length, name })}`, "success");
+      onEnrolled(data, tags);
+    } catch (err) {
+      showToast(describeError(err, "enroll.failed"), "error");
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div style={{
+      marginTop: 16, padding: 16, borderRadius: 10,
+      background: "var(--bg)", border: "1px solid var(--yellow)44",
+      animation: "popIn 0.3s ease",
+    }}>
+      <p style={{
+        fontFamily: "var(--mono)", fontSize: 11, fontWeight: 700,
+        color: "var(--yellow)", letterSpacing: 1, marginBottom: 10,
+      }}>
+        {t(bulk ? "enroll.bulkTitle" : "enroll.unknownTitle")}
+      </p>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 14 }}>
+        {tags.length === 0 && (
+          <span style={{ fontSize: 12, color: "var(--text-dim)" }}>{t("enroll.noTags")}</span>
+        )}
+        {tags.map((tag) => (
+          <span key={tag} style={{
+            display: "inline-flex", alignItems: "center", gap: 6,
+            padding: "4px 8px", borderRadius: 6,
+            background: "var(--surface-2)", border: "1px solid var(--border)",
+            fontFamily: "var(--mono)", fontSize: 11,
+          }}>
+            {tag}
+            <button onClick={() => onRemoveTag(tag)} title={t("enroll.dropTag")} style={{
+              background: "none", border: "none", color: "var(--text-dim)",
+              cursor: "pointer", fontSize: 12,
+            }}>×</button>
+          </span>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 6, marginBottom: 12 }}>
+        {[["existing", "enroll.existing"], ["new", "enroll.new"]].map(([value, label]) => (
+          <button key={value} onClick={() => setMode(value)} disabled={value === "existing" && choices.length === 0} style={{
+            flex: 1, padding: "6px 10px", borderRadius: 6,
+            background: mode === value ? "var(--accent-dim)" : "var(--surface-2)",
+            border: `1px solid ${mode === value ? "var(--accent)" : "var(--border)"}`,
+            color: "var(--text)", cursor: "pointer",
+            fontFamily: "var(--mono)", fontSize: 11, fontWeight: 700,
+          }}>
+            {t(label)}
+          </button>
+        ))}
+      </div>
+
+      {mode === "existing" ? (
+        <div>
+          <label style={labelStyle}>{t("enroll.product")}</label>
+          <select value={productTagId} onChange={(e) => setProductTagId(e.target.value)} style={{ ...inputStyle, cursor: "pointer" }}>
+            {choices.map((p) => (
+              <option key={p.tag} value={p.tag}>{p.name} – {formatMoney(p.price)} ({p.category})</option>
+            ))}
+          </select>
+        </div>
+      ) : (
+        <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 10 }}>
+          <div style={{ gridColumn: "1 / -1" }}>
+            <label style={labelStyle}>{t("enroll.name")}</label>
+            <input value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>{t("enroll.category")}</label>
+            <input list="enroll-categories" value={draft.category} onChange={(e) => setDraft({ ...draft, category: e.target.value })} style={inputStyle} />
+            <datalist id="enroll-categories">
+              {categories.map((c) => <option key={c} value={c} />)}
+            </datalist>
+          </div>
+          <div>
+            <label style={labelStyle}>{t("enroll.price", { currency: getLocale().currency })}</label>
+            <input type="number" min="0" step="0.01" value={draft.price} onChange={(e) => setDraft({ ...draft, price: e.target.value })} style={inputStyle} />
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 14 }}>
+        <button onClick={handleEnroll} disabled={!valid || saving} style={{
+          flex: 1, padding: "10px", borderRadius: 8,
+          background: "var(--yellow)", color: "#000", border: "none",
+          cursor: valid ? "pointer" : "not-allowed", opacity: valid && !saving ? 1 : 0.5,
+          fontFamily: "var(--mono)", fontWeight: 700, fontSize: 12,
+        }}>
+          {saving ? t("enroll.saving") : t("enroll.submit", { count: tags.length })}
+        </button>
+        <button onClick={onCancel} style={{
+          padding: "10px 16px", borderRadius: 8,
+          background: "none", border: "1px solid var(--border)",
+          color: "var(--text-dim)", cursor: "pointer",
+          fontFamily: "var(--mono)", fontWeight: 700, fontSize: 12,
+        }}>
+          {t("common.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import { useState, useEffect, useRef } from "react";
+import { useDeviceFleet, isStale, signalBars, batteryColor, STALE_AFTER } from "./devices.js";
+import { navigate, cartPath } from "./router.js";
+import { panelStyle, sectionTitleStyle, buttonStyle, thStyle, tdStyle } from "./ui.js";
+import Toast, { useToast } from "./Toast.jsx";
+import { t, formatRelative, formatDateTime } from "./i18n.js";
+
+// ─── DEVICE FLEET ───
+// Alerts are keyed by device and heartbeat, so a device that recovers and
+// then drops out again raises a fresh alert even if the last one was dismissed.
+function alertKey(device) {
+  return `${device.deviceId}@${device.lastSeen}`;
+}
+
+function SignalBars({ rssi }) {
+  const bars = signalBars(rssi);
+  const color = bars >= 3 ? "var(--green)" : bars === 2 ? "var(--yellow)" : "var(--red)";
+  return (
+    <span title={rssi == null ? "" : `${rssi} dBm`} style={{ display: "inline-flex", alignItems: "flex-end", gap: 2, height: 14 }}>
+      {[1, 2, 3, 4].map((level) => (
+        <span key={level} style={{
+          width: 4, height: 3 + level * 3, borderRadius: 1,
+          background: level <= bars ? color : "var(--border)",
+        }} />
+      ))}
+      <span style={{ marginLeft: 6, fontFamily: "var(--mono)", fontSize: 11, color: "var(--text-dim)" }}>
+        {rssi == null ? "—" : rssi}
+      </span>
+    </span>
+  );
+}
+
+function Ago({ date, now }) {
+  if (!date) return <span style={{ color: "var(--text-dim)" }}>{t("fleet.never")}</span>;
+  return <span title={formatDateTime(date)}>{formatRelative(date, now)}</span>;
+}
+
+export default function FleetPage() {
+  const { devices, loading, error, now } = useDeviceFleet();
+  const [dismissed, setDismissed] = useState(() => new Set());
+  const [toast, showToast] = useToast();
+  const alerted = useRef(new Set());
+
+  const stale = devices.filter((d) => isStale(d, now));
+  const alerts = stale.filter((d) => !dismissed.has(alertKey(d)));
+  const rows = [...devices].sort((a, b) => (
+    Number(isStale(b, now)) - Number(isStale(a, now)) || String(a.cartId).localeCompare(String(b.cartId))
+  ));
+
+  // Toast once per device each time it goes stale
+  const staleKeys = stale.map(alertKey).join(",");
+  useEffect(() => {
+    const fresh = stale.filter((d) => !alerted.current.has(alertKey(d)));
+    if (fresh.length === 0) return;
+    fresh.forEach((d) => alerted.current.add(alertKey(d)));
+    showToast(fresh.length === 1
+      ? t("fleet.wentStale", { device: fresh[0].deviceId })
+      : t("fleet.manyStale", { count: fresh.length }), "warning");
+  }, [staleKeys]);
+
+  const dismiss = (device) => setDismissed(new Set([...dismissed, alertKey(device)]));
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 16, animation: "slideUp 0.3s ease" }}>
+      <Toast toast={toast} />
+
+      {alerts.length > 0 && (
+        <div style={{ ...panelStyle, padding: 16, background: "var(--red-dim)", border: "1px solid var(--red)44" }}>
+          <h3 style={{ ...sectionTitleStyle, color: "var(--red)", marginBottom: 10 }}>
+            ⚠ {t("fleet.alerts", { count: alerts.length })}
+          </h3>
+          {alerts.map((d) => (
+            <div key={d.deviceId} style={{ display: "flex", alignItems: "center", gap: 10, padding: "6px 0", fontSize: 13 }}>
+              <span style={{ flex: 1 }}>
+                {t(d.lastSeen ? "fleet.staleSince" : "fleet.neverSeen", {
+                  device: d.deviceId,
+                  cart: d.cartId || "—",
+                  ago: d.lastSeen ? formatRelative(d.lastSeen, now) : "",
+                })}
+              </span>
+              {d.cartId && (
+                <button onClick={() => navigate(cartPath(d.cartId))} style={buttonStyle("ghost")}>{t("fleet.openCart")}</button>
+              )}
+              <button onClick={() => dismiss(d)} style={buttonStyle("danger")}>{t("conflicts.dismiss")}</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={panelStyle}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 16 }}>
+          <h3 style={{ ...sectionTitleStyle, marginBottom: 0, marginRight: "auto" }}>
+            📡 {t("fleet.title", { count: devices.length })}
+          </h3>
+          <span style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--text-dim)" }}>
+            {t("fleet.summary", { online: devices.length - stale.length, stale: stale.length, seconds: STALE_AFTER / 1000 })}
+          </span>
+          {error && (
+            <span style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--yellow)" }}>{t("fleet.unreachable")}</span>
+          )}
+        </div>
+
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <th style={thStyle}>{t("fleet.columns.status")}</th>
+                <th style={thStyle}>{t("fleet.columns.device")}</th>
+                <th style={thStyle}>{t("fleet.columns.cart")}</th>
+                <th style={thStyle}>{t("fleet.columns.lastSeen")}</th>
+                <th style={thStyle}>{t("fleet.columns.lastScan")}</th>
+                <th style={thStyle}>{t("fleet.columns.firmware")}</th>
+                <th style={thStyle}>{t("fleet.columns.signal")}</th>
+                <th style={thStyle}>{t("fleet.columns.battery")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((d) => {
+                const deviceStale = isStale(d, now);
+                return (
+                  <tr key={d.deviceId}>
+                    <td style={tdStyle}>
+                      <span style={{
+                        padding: "3px 8px", borderRadius: 20,
+                        fontFamily: "var(--mono)", fontSize: 10, fontWeight: 700,
+                        background: deviceStale ? "var(--red-dim)" : "var(--green-dim)",
+                        color: deviceStale ? "var(--red)" : "var(--green)",
+                      }}>
+                        ● {t(deviceStale ? "fleet.stale" : "fleet.online")}
+                      </span>
+                    </td>
+                    <td style={{ ...tdStyle, fontFamily: "var(--mono)", fontSize: 12 }}>{d.deviceId}</td>
+                    <td style={tdStyle}>
+                      {d.cartId ? (
+                        <button onClick={() => navigate(cartPath(d.cartId))} style={buttonStyle("ghost")}>🛒 {d.cartId}</button>
+                      ) : (
+                        <span style={{ color: "var(--text-dim)" }}>{t("fleet.unassigned")}</span>
+                      )}
+                    </td>
+                    <td style={{ ...tdStyle, color: deviceStale ? "var(--red)" : "var(--text)" }}>
+                      <Ago date={d.lastSeen} now={now} />
+                    </td>
+                    <td style={tdStyle}><Ago date={d.lastScan} now={now} /></td>
+                    <td style={{ ...tdStyle, fontFamily: "var(--mono)", fontSize: 12 }}>{d.firmware || "—"}</td>
+                    <td style={tdStyle}><SignalBars rssi={d.rssi} /></td>
+                    <td style={{ ...tdStyle, fontFamily: "var(--mono)", fontSize: 12, color: batteryColor(d.battery) }}>
+                      {d.battery == null ? t("fleet.mains") : `${Math.round(d.battery)}%`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {!loading && rows.length === 0 && (
+            <p style={{ textAlign: "center", padding: 32, color: "var(--text-dim)", fontFamily: "var(--mono)", fontSize: 13 }}>
+              {t(error ? "fleet.unreachable" : "fleet.empty")}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import { CartIcon, WifiIcon } from "./icons.jsx";
+import { navigate, usePath } from "./router.js";
+import { t, useLocale, setLocale, LANGUAGES, CURRENCIES } from "./i18n.js";
+import { useSession, can, endSession } from "./auth.js";
+import { logout } from "./api.js";
+
+// Links the signed-in role may not open are left out
+const NAV_LINKS = [
+  { to: "/", label: "nav.carts", permission: "cart.view", match: (path) => path === "/" || path.startsWith("/cart/") },
+  { to: "/catalog", label: "nav.catalog", permission: "catalog" },
+  { to: "/history", label: "nav.history", permission: "history" },
+  { to: "/returns", label: "nav.returns", permission: "returns" },
+  { to: "/analytics", label: "nav.analytics", permission: "analytics" },
+  { to: "/fleet", label: "nav.fleet", permission: "fleet" },
+  { to: "/settings", label: "nav.settings", permission: "settings" },
+];
+
+function NavLinks() {
+  const path = usePath();
+  return (
+    <nav style={{ display: "flex", gap: 4 }}>
+      {NAV_LINKS.filter((link) => can(link.permission)).map((link) => {
+        const active = link.match ? link.match(path) : path.startsWith(link.to);
+        return (
+          <button key={link.to} onClick={() => navigate(link.to)} style={{
+            padding: "6px 10px", borderRadius: 6,
+            background: active ? "var(--accent-dim)" : "none",
+            border: "none", cursor: "pointer",
+            color: active ? "var(--accent)" : "var(--text-dim)",
+            fontFamily: "var(--mono)", fontSize: 11, fontWeight: 700, letterSpacing: 1,
+          }}>
+            {t(link.label)}
+          </button>
+        );
+      })}
+    </nav>
+  );
+}
+
+const selectStyle = {
+  padding: "5px 6px",
+  background: "var(--bg)", border: "1px solid var(--border)",
+  borderRadius: 6, color: "var(--text-dim)", cursor: "pointer",
+  fontFamily: "var(--mono)", fontSize: 11, outline: "none",
+};
+
+function LocaleSwitcher() {
+  const { language, currency } = useLocale();
+  return (
+    <div style={{ display: "flex", gap: 4 }}>
+      <select value={language} onChange={(e) => setLocale({ language: e.target.value })} title={t("header.language")} style={selectStyle}>
+        {Object.entries(LANGUAGES).map(([code, { label }]) => <option key={code} value={code}>{label}</option>)}
+      </select>
+      <select value={currency} onChange={(e) => setLocale({ currency: e.target.value })} title={t("header.currency")} style={selectStyle}>
+        {CURRENCIES.map((code) => <option key={code} value={code}>{code}</option>)}
+      </select>
+    </div>
+  );
+}
+
+function SessionMenu() {
+  const session = useSession();
+  if (!session) return null;
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 6, fontFamily: "var(--mono)", fontSize: 11 }}>
+      <span title={t(`auth.roles.${session.user.role}`)} style={{ color: "var(--text-dim)" }}>
+        👤 {session.user.name} · {t(`auth.roles.${session.user.role}`)}
+      </span>
+      <button onClick={() => logout().then(endSession)} style={{ ...selectStyle, fontWeight: 700 }}>
+        {t("auth.signOut")}
+      </button>
+    </div>
+  );
+}
+
+// ─── HEADER ───
+// Brand block on the left; pages pass their own controls (cart picker,
+// status pill) as children for the right-hand side.
+export default function Header({ children }) {
+  return (
+    <header style={{
+      display: "flex", alignItems: "center", justifyContent: "space-between",
+      marginBottom: 32, paddingBottom: 20,
+      borderBottom: "1px solid var(--border)",
+      gap: 16, flexWrap: "wrap",
+    }}>
+      <div
+        onClick={() => navigate("/")}
+        style={{ display: "flex", alignItems: "center", gap: 14, cursor: "pointer" }}
+      >
+        <div style={{
+          width: 44, height: 44, borderRadius: 12,
+          background: "linear-gradient(135deg, var(--accent), #0077ff)",
+          display: "flex", alignItems: "center", justifyContent: "center",
+          boxShadow: "0 0 24px var(--accent-dim)",
+        }}>
+          <CartIcon />
+        </div>
+        <div>
+          <h1 style={{
+            fontFamily: "var(--mono)", fontSize: 22, fontWeight: 700,
+            letterSpacing: "-0.5px", lineHeight: 1.2,
+          }}>
+            {t("header.brand")}
+          </h1>
+          <p style={{ fontSize: 12, color: "var(--text-dim)", fontFamily: "var(--mono)" }}>
+            {t("header.tagline")}
+          </p>
+        </div>
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <NavLinks />
+        <LocaleSwitcher />
+        {children}
+        <SessionMenu />
+      </div>
+    </header>
+  );
+}
+
+export function StatusPill({ connected, label }) {
+  return (
+    <div style={{
+      display: "flex", alignItems: "center", gap: 8,
+      padding: "6px 14px", borderRadius: 20,
+      background: connected ? "var(--green-dim)" : "var(--red-dim)",
+      border: `1px solid ${connected ? "var(--green)" : "var(--red)"}44`,
+    }}>
+      <WifiIcon connected={connected} />
+      <span style={{
+        fontFamily: "var(--mono)", fontSize: 11, fontWeight: 700,
+        color: connected ? "var(--green)" : "var(--red)",
+      }}>
+        {label || t(connected ? "status.online" : "status.offline")}
+      </span>
+    </div>
+  );
+}
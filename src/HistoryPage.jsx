@@ -0,0 +1,136 @@
+import { useState, useMemo } from "react";
+import { useReceiptHistory, filterReceipts, lookupReceipt } from "./history.js";
+import { useUnmountSignal } from "./apiClient.js";
+import { itemCount } from "./cartModel.js";
+import { isFullyReturned } from "./returns.js";
+import { navigate } from "./router.js";
+import { panelStyle, sectionTitleStyle, inputStyle, labelStyle, buttonStyle, thStyle, tdStyle } from "./ui.js";
+import ReceiptModal from "./ReceiptModal.jsx";
+import Toast, { useToast } from "./Toast.jsx";
+import { t, formatMoney, formatDateTime, getLocale } from "./i18n.js";
+
+// ─── ORDER HISTORY ───
+const EMPTY_FILTERS = { query: "", cartId: "", from: "", to: "", minTotal: "", maxTotal: "", product: "" };
+
+export default function HistoryPage() {
+  const { receipts, loading, offline, refresh } = useReceiptHistory();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [open, setOpen] = useState(null);
+  const [toast, showToast] = useToast();
+  const unmountSignal = useUnmountSignal();
+
+  const carts = useMemo(() => [...new Set(receipts.map((r) => r.cartId))].sort(), [receipts]);
+  const rows = useMemo(() => filterReceipts(receipts, filters), [receipts, filters]);
+  const set = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  // Enter in the receipt ID box opens an exact match, asking the server if
+  // it is not in the local list (e.g. a receipt from another dashboard).
+  const handleLookup = async () => {
+    const id = filters.query.trim();
+    if (!id) return;
+    const exact = receipts.find((r) => r.receiptId.toLowerCase() === id.toLowerCase());
+    const found = exact || (await lookupReceipt(id, { signal: unmountSignal() }));
+    if (found) setOpen(found);
+    else showToast(t("history.notFound", { id }), "error");
+  };
+
+  const field = (key, label, props = {}) => (
+    <div>
+      <label style={labelStyle}>{label}</label>
+      <input value={filters[key]} onChange={set(key)} style={inputStyle} {...props} />
+    </div>
+  );
+
+  return (
+    <div style={{ ...panelStyle, animation: "slideUp 0.3s ease" }}>
+      <Toast toast={toast} />
+      {open && <ReceiptModal receipt={open} title={t("receipt.title")} onClose={() => setOpen(null)} />}
+
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 16 }}>
+        <h3 style={{ ...sectionTitleStyle, marginBottom: 0, marginRight: "auto" }}>
+          {rows.length !== receipts.length
+            ? t("history.titleFiltered", { shown: rows.length, count: receipts.length })
+            : t("history.title", { count: receipts.length })}
+        </h3>
+        {offline && (
+          <span style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--yellow)" }}>
+            {t("history.offline")}
+          </span>
+        )}
+        <button onClick={refresh} disabled={loading} style={buttonStyle("ghost")}>
+          {t(loading ? "common.loading" : "common.refresh")}
+        </button>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))", gap: 10, marginBottom: 16 }}>
+        {field("query", t("history.receiptId"), {
+          placeholder: t("history.searchHint"),
+          onKeyDown: (e) => e.key === "Enter" && handleLookup(),
+        })}
+        <div>
+          <label style={labelStyle}>{t("history.cart")}</label>
+          <select value={filters.cartId} onChange={set("cartId")} style={{ ...inputStyle, cursor: "pointer" }}>
+            <option value="">{t("history.allCarts")}</option>
+            {carts.map((id) => <option key={id} value={id}>{id}</option>)}
+          </select>
+        </div>
+        {field("from", t("history.from"), { type: "date" })}
+        {field("to", t("history.to"), { type: "date" })}
+        {field("minTotal", t("history.minTotal", { currency: getLocale().currency }), { type: "number", min: "0" })}
+        {field("maxTotal", t("history.maxTotal", { currency: getLocale().currency }), { type: "number", min: "0" })}
+        {field("product", t("history.product"), { placeholder: t("history.productHint") })}
+        <div style={{ display: "flex", alignItems: "flex-end" }}>
+          <button onClick={() => setFilters(EMPTY_FILTERS)} style={{ ...buttonStyle("ghost"), width: "100%" }}>
+            {t("history.resetFilters")}
+          </button>
+        </div>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={thStyle}>{t("history.columns.date")}</th>
+              <th style={thStyle}>{t("history.columns.receipt")}</th>
+              <th style={thStyle}>{t("history.columns.cart")}</th>
+              <th style={thStyle}>{t("history.columns.items")}</th>
+              <th style={{ ...thStyle, textAlign: "right" }}>{t("history.columns.total")}</th>
+              <th style={thStyle} />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.receiptId} onClick={() => setOpen(r)} style={{ cursor: "pointer" }}>
+                <td style={{ ...tdStyle, fontFamily: "var(--mono)", fontSize: 11, color: "var(--text-dim)" }}>
+                  {formatDateTime(r.timestamp)}
+                </td>
+                <td style={{ ...tdStyle, fontFamily: "var(--mono)", fontSize: 12 }}>{r.receiptId}</td>
+                <td style={tdStyle}>{r.cartId}</td>
+                <td style={tdStyle}>{itemCount(r.items)}</td>
+                <td style={{ ...tdStyle, textAlign: "right", fontFamily: "var(--mono)", color: "var(--green)" }}>{formatMoney(r.total)}</td>
+                <td style={{ ...tdStyle, textAlign: "right", whiteSpace: "nowrap" }}>
+                  {isFullyReturned(r) ? (
+                    <span style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--yellow)", marginRight: 6 }}>{t("history.returned")}</span>
+                  ) : (
+                    <button
+                      onClick={(e) => { e.stopPropagation(); navigate(`/returns?receipt=${encodeURIComponent(r.receiptId)}`); }}
+                      style={{ ...buttonStyle("ghost"), marginRight: 6 }}
+                    >
+                      {t("history.return")}
+                    </button>
+                  )}
+                  <button style={buttonStyle("ghost")}>{t("history.open")}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && rows.length === 0 && (
+          <p style={{ textAlign: "center", padding: 32, color: "var(--text-dim)", fontFamily: "var(--mono)", fontSize: 13 }}>
+            {t(receipts.length === 0 ? "history.empty" : "history.noMatches")}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
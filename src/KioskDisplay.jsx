@@ -0,0 +1,305 @@
+import { useState, useEffect, useRef } from "react";
+import { fetchProducts } from "./api.js";
+import { useLiveCart, TRANSPORT } from "./liveCart.js";
+import { itemQty, lineTotal, itemCount } from "./cartModel.js";
+import { diffCarts } from "./timeline.js";
+import { usePromotions, cartPricing, totalDiscount } from "./promotions.js";
+import { useTaxConfig, computeTax } from "./tax.js";
+import { speak, speechSupported, stopSpeaking } from "./speech.js";
+import { CartIcon, ScanIcon } from "./icons.jsx";
+import { t, formatMoney } from "./i18n.js";
+
+// ─── KIOSK DISPLAY ───
+// Read-only customer screen for a tablet mounted on the cart, at
+// /display/:cartId. It follows the same live feed as the dashboard and turns
+// each change between snapshots into a confirmation banner and a spoken
+// announcement. Nothing here can change the cart.
+const PRODUCTS_CACHE_KEY = "smartcart.products";
+const VOICE_KEY = "smartcart.kioskVoice";
+const FLASH_MS = 2500;
+const IDLE_MS = 45000;
+const ATTRACT_ROTATE_MS = 5000;
+
+function loadVoice() {
+  try {
+    return localStorage.getItem(VOICE_KEY) !== "off";
+  } catch {
+    return true;
+  }
+}
+
+function useProducts() {
+  const [products, setProducts] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(PRODUCTS_CACHE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  });
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchProducts({ signal: controller.signal }).then((data) => setProducts(data.products)).catch(() => {});
+    return () => controller.abort();
+  }, []);
+  return products;
+}
+
+// Banner + spoken text for one snapshot's changes. A cart that empties in
+// one step (clear or checkout) gets a single message rather than one per line.
+function describeChanges(prev, next) {
+  const changes = diffCarts(prev, next);
+  if (changes.length === 0) return null;
+  if (next.items.length === 0 && changes.length > 1) {
+    const text = t("kiosk.cleared");
+    return { action: "cleared", title: text, speech: text };
+  }
+  const last = changes[changes.length - 1];
+  const action = last.to > last.from ? "added" : "removed";
+  const price = formatMoney(last.price);
+  return {
+    action,
+    title: last.product,
+    detail: `${t(`kiosk.${action}`)} · ${price}${last.to > 1 ? ` · ×${last.to}` : ""}`,
+    speech: changes
+      .map((c) => t(c.to > c.from ? "kiosk.sayAdded" : "kiosk.sayRemoved", { product: c.product, price: formatMoney(c.price) }))
+      .join(". "),
+  };
+}
+
+const FLASH_COLORS = {
+  added: "var(--green)",
+  removed: "var(--yellow)",
+  cleared: "var(--accent)",
+};
+
+function Attract({ promotions }) {
+  const offers = promotions.filter((p) => p.label);
+  const [index, setIndex] = useState(0);
+  useEffect(() => {
+    if (offers.length < 2) return;
+    const id = setInterval(() => setIndex((i) => i + 1), ATTRACT_ROTATE_MS);
+    return () => clearInterval(id);
+  }, [offers.length]);
+  const offer = offers.length > 0 ? offers[index % offers.length] : null;
+
+  return (
+    <div style={{
+      flex: 1, display: "flex", flexDirection: "column",
+      alignItems: "center", justifyContent: "center", gap: 28,
+      textAlign: "center", animation: "fadeIn 0.6s ease",
+    }}>
+      <div style={{
+        width: 120, height: 120, borderRadius: 32,
+        background: "linear-gradient(135deg, var(--accent), #0077ff)",
+        display: "flex", alignItems: "center", justifyContent: "center",
+        boxShadow: "0 0 60px var(--accent-dim)",
+        animation: "pulse 2.4s ease infinite",
+      }}>
+        <div style={{ transform: "scale(2.4)" }}><CartIcon /></div>
+      </div>
+      <h1 style={{ fontFamily: "var(--mono)", fontSize: 44, letterSpacing: -1 }}>{t("kiosk.welcome")}</h1>
+      <p style={{ fontSize: 22, color: "var(--text-dim)", display: "flex", alignItems: "center", gap: 10 }}>
+        <ScanIcon /> {t("kiosk.scanToStart")}
+      </p>
+      {offer && (
+        <div key={offer.id} style={{
+          marginTop: 12, padding: "16px 28px", borderRadius: 14,
+          background: "var(--green-dim)", border: "1px solid var(--green)44",
+          fontSize: 22, fontWeight: 700, color: "var(--green)",
+          animation: "popIn 0.5s ease",
+        }}>
+          🏷 {offer.label}
+          {offer.type === "coupon" && (
+            <span style={{ fontFamily: "var(--mono)", fontSize: 16, marginLeft: 12 }}>
+              {t("kiosk.code", { code: offer.code })}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function KioskDisplay({ cartId }) {
+  const [cart, setCart] = useState({ items: [], total: 0 });
+  const [flash, setFlash] = useState(null); // { id, action, title, detail }
+  const [lastActivity, setLastActivity] = useState(0);
+  const [idle, setIdle] = useState(true);
+  const [voice, setVoice] = useState(loadVoice);
+  const [unlocked, setUnlocked] = useState(false); // speech needs a first tap
+  const products = useProducts();
+  const promotions = usePromotions();
+  const [taxConfig] = useTaxConfig();
+  const cartRef = useRef(null);
+  const voiceRef = useRef(voice);
+  voiceRef.current = voice;
+
+  const transport = useLiveCart(cartId, {
+    onCart: (next) => {
+      const prev = cartRef.current;
+      cartRef.current = next;
+      setCart(next);
+      // The first snapshot is the cart as we found it, not a scan
+      if (!prev) return;
+      const change = describeChanges(prev, next);
+      if (!change) return;
+      setFlash({ ...change, id: Date.now() });
+      setLastActivity(Date.now());
+      if (voiceRef.current) speak(change.speech);
+    },
+  });
+
+  useEffect(() => {
+    if (!flash) return;
+    const id = setTimeout(() => setFlash(null), FLASH_MS);
+    return () => clearTimeout(id);
+  }, [flash]);
+
+  // Attract screen once an empty cart has sat untouched for a while
+  useEffect(() => {
+    setIdle(false);
+    const id = setTimeout(() => setIdle(true), lastActivity ? IDLE_MS : 0);
+    return () => clearTimeout(id);
+  }, [lastActivity]);
+
+  useEffect(() => () => stopSpeaking(), []);
+
+  const toggleVoice = (e) => {
+    e.stopPropagation();
+    const next = !voice;
+    setVoice(next);
+    if (!next) stopSpeaking();
+    try {
+      localStorage.setItem(VOICE_KEY, next ? "on" : "off");
+    } catch {
+      // remembered for this tab only
+    }
+  };
+
+  const count = itemCount(cart.items);
+  const pricing = cartPricing(cart, promotions);
+  const tax = computeTax(cart.items, pricing, products, taxConfig);
+  const discount = totalDiscount(pricing);
+  const serverUp = transport === TRANSPORT.LIVE || transport === TRANSPORT.POLLING;
+  const attract = idle && count === 0 && !flash;
+
+  return (
+    <div
+      onPointerDown={() => setUnlocked(true)}
+      style={{
+        minHeight: "100vh", display: "flex", flexDirection: "column",
+        padding: "28px 36px", gap: 24, userSelect: "none",
+      }}
+    >
+      {/* ─── STATUS BAR ─── */}
+      <div style={{
+        display: "flex", alignItems: "center", gap: 16,
+        fontFamily: "var(--mono)", fontSize: 14, color: "var(--text-dim)",
+      }}>
+        <span style={{ fontWeight: 700, color: "var(--text)" }}>{t("header.brand")}</span>
+        <span>{t("picker.option", { id: cartId })}</span>
+        <span style={{ marginLeft: "auto", color: serverUp ? "var(--green)" : "var(--red)" }}>
+          ● {t(serverUp ? "status.online" : "status.offline")}
+        </span>
+        {speechSupported() && (
+          <button
+            onClick={toggleVoice}
+            title={t(voice ? "kiosk.voiceOff" : "kiosk.voiceOn")}
+            style={{
+              padding: "6px 12px", borderRadius: 8, cursor: "pointer",
+              background: "none", border: "1px solid var(--border)",
+              color: "var(--text-dim)", fontSize: 16,
+            }}
+          >
+            {voice ? "🔊" : "🔇"}
+          </button>
+        )}
+      </div>
+      {voice && speechSupported() && !unlocked && (
+        <p style={{ fontFamily: "var(--mono)", fontSize: 12, color: "var(--yellow)", textAlign: "right", marginTop: -16 }}>
+          {t("kiosk.tapForVoice")}
+        </p>
+      )}
+
+      {/* ─── SCAN CONFIRMATION ─── */}
+      {flash && (
+        <div key={flash.id} style={{
+          position: "fixed", left: "50%", top: "38%", zIndex: 20,
+          transform: "translate(-50%, -50%)", width: "min(640px, 90vw)",
+        }}>
+          <div style={{
+            padding: "36px 40px", borderRadius: 24, textAlign: "center",
+            background: "var(--surface)", border: `3px solid ${FLASH_COLORS[flash.action]}`,
+            boxShadow: `0 0 80px ${FLASH_COLORS[flash.action]}55`,
+            animation: "popIn 0.35s ease",
+          }}>
+            <div style={{ fontSize: 64, lineHeight: 1, color: FLASH_COLORS[flash.action] }}>
+              {flash.action === "added" ? "＋" : flash.action === "removed" ? "−" : "✓"}
+            </div>
+            <div style={{ fontSize: 40, fontWeight: 700, marginTop: 12 }}>{flash.title}</div>
+            {flash.detail && (
+              <div style={{ fontFamily: "var(--mono)", fontSize: 22, color: "var(--text-dim)", marginTop: 8 }}>
+                {flash.detail}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {attract ? (
+        <Attract promotions={promotions} />
+      ) : (
+        <>
+          {/* ─── CART CONTENTS ─── */}
+          <div style={{ flex: 1, display: "flex", flexDirection: "column", gap: 10 }}>
+            {cart.items.length === 0 && (
+              <p style={{ margin: "auto", fontSize: 26, color: "var(--text-dim)" }}>{t("kiosk.scanToStart")}</p>
+            )}
+            {cart.items.map((item) => (
+              <div key={item.tag_id} style={{
+                display: "flex", alignItems: "center", gap: 20,
+                padding: "18px 24px", borderRadius: 16,
+                background: "var(--surface)", border: "1px solid var(--border)",
+                animation: "slideUp 0.3s ease",
+              }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontSize: 30, fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    {item.name}
+                  </div>
+                  <div style={{ fontFamily: "var(--mono)", fontSize: 18, color: "var(--text-dim)" }}>
+                    {itemQty(item)} × {formatMoney(item.price)}
+                  </div>
+                </div>
+                <div style={{ fontFamily: "var(--mono)", fontSize: 32, fontWeight: 700, color: "var(--accent)" }}>
+                  {formatMoney(lineTotal(item))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* ─── TOTAL ─── */}
+          <div style={{
+            display: "flex", alignItems: "flex-end", gap: 24,
+            padding: "24px 28px", borderRadius: 20,
+            background: "var(--surface)", border: "1px solid var(--border)",
+          }}>
+            <div style={{ fontFamily: "var(--mono)", fontSize: 20, color: "var(--text-dim)" }}>
+              <div>{t("cart.items", { count })}</div>
+              {discount > 0 && (
+                <div style={{ color: "var(--green)" }}>{t("kiosk.saved", { amount: formatMoney(discount) })}</div>
+              )}
+            </div>
+            <div style={{ marginLeft: "auto", textAlign: "right" }}>
+              <div style={{ fontFamily: "var(--mono)", fontSize: 16, color: "var(--text-dim)", letterSpacing: 2 }}>
+                {t("stats.total")}
+              </div>
+              <div style={{ fontFamily: "var(--mono)", fontSize: 64, fontWeight: 700, color: "var(--green)", lineHeight: 1.1 }}>
+                {formatMoney(tax.grandTotal)}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
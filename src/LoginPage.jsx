@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { login, logout } from "./api.js";
+import { startSession, endSession, getSession } from "./auth.js";
+import { isNetworkError } from "./offlineQueue.js";
+import { CartIcon } from "./icons.jsx";
+import { BackendUrlField } from "./SettingsPage.jsx";
+import { useSettings, saveBackendUrl, isValidApiUrl, normalizeApiUrl } from "./settings.js";
+import { panelStyle, sectionTitleStyle, inputStyle, labelStyle, buttonStyle } from "./ui.js";
+import { t } from "./i18n.js";
+
+// ─── SIGN-IN ───
+function LoginForm({ username: initialName = "", lockName = false }) {
+  const [username, setUsername] = useState(initialName);
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) return;
+    setBusy(true);
+    setError(null);
+    try {
+      startSession(await login(username.trim(), password), username.trim());
+    } catch (err) {
+      setError(t(err.status === 401 ? "auth.invalid" : isNetworkError(err) ? "auth.offline" : "auth.failed"));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+      <div>
+        <label style={labelStyle}>{t("auth.username")}</label>
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          readOnly={lockName}
+          autoFocus={!lockName}
+          autoComplete="username"
+          style={inputStyle}
+        />
+      </div>
+      <div>
+        <label style={labelStyle}>{t("auth.password")}</label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoFocus={lockName}
+          autoComplete="current-password"
+          style={inputStyle}
+        />
+      </div>
+      {error && <p style={{ fontFamily: "var(--mono)", fontSize: 11, color: "var(--red)" }}>{error}</p>}
+      <button type="submit" disabled={busy || !username.trim() || !password} style={{ ...buttonStyle("primary"), padding: "10px 14px" }}>
+        {t(busy ? "auth.signingIn" : "auth.signIn")}
+      </button>
+    </form>
+  );
+}
+
+// Only the backend URL can be changed signed out; everything else on the
+// settings page needs an admin
+function ConnectionSettings() {
+  const { apiUrl } = useSettings();
+  const [draft, setDraft] = useState(apiUrl);
+  const changed = normalizeApiUrl(draft) !== apiUrl;
+
+  const save = () => {
+    if (changed && isValidApiUrl(normalizeApiUrl(draft))) saveBackendUrl(draft);
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 8, marginTop: 12 }}>
+      <BackendUrlField
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        label={<label style={labelStyle}>{t("settings.apiUrl")}</label>}
+      />
+      <button onClick={save} disabled={!changed || !isValidApiUrl(normalizeApiUrl(draft))} style={buttonStyle("primary")}>
+        {t("settings.save")}
+      </button>
+    </div>
+  );
+}
+
+// The backend URL is reachable from here since a wrong one would otherwise
+// lock everyone out
+export default function LoginPage() {
+  const [showConnection, setShowConnection] = useState(false);
+  return (
+    <div style={{ minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center", padding: 16 }}>
+      <div style={{ ...panelStyle, width: "100%", maxWidth: 360, animation: "slideUp 0.3s ease" }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 24 }}>
+          <div style={{
+            width: 40, height: 40, borderRadius: 12,
+            background: "linear-gradient(135deg, var(--accent), #0077ff)",
+            display: "flex", alignItems: "center", justifyContent: "center",
+          }}>
+            <CartIcon />
+          </div>
+          <div>
+            <h1 style={{ fontFamily: "var(--mono)", fontSize: 18, fontWeight: 700 }}>{t("header.brand")}</h1>
+            <p style={{ fontSize: 11, color: "var(--text-dim)", fontFamily: "var(--mono)" }}>{t("auth.prompt")}</p>
+          </div>
+        </div>
+        <LoginForm />
+        <button onClick={() => setShowConnection(!showConnection)} style={{ ...buttonStyle("ghost"), width: "100%", marginTop: 8 }}>
+          ⚙ {t("auth.connectionSettings")}
+        </button>
+        {showConnection && <ConnectionSettings />}
+      </div>
+    </div>
+  );
+}
+
+// Shown over the current page when the session runs out, so nothing on it
+// is lost; signing in again as someone else is done by signing out first
+export function SessionExpiredModal() {
+  // Sessions saved before the sign-in name was kept have only the display
+  // name, so the field stays editable for them
+  const username = getSession()?.username;
+  return (
+    <div style={{
+      position: "fixed", inset: 0, zIndex: 1100,
+      background: "#000000aa", backdropFilter: "blur(8px)",
+      display: "flex", alignItems: "center", justifyContent: "center",
+      animation: "fadeIn 0.2s ease",
+    }}>
+      <div style={{ ...panelStyle, width: "90%", maxWidth: 360, animation: "popIn 0.3s ease" }}>
+        <h3 style={sectionTitleStyle}>🔒 {t("auth.expiredTitle")}</h3>
+        <p style={{ fontSize: 13, color: "var(--text-dim)", marginBottom: 16 }}>{t("auth.expired")}</p>
+        <LoginForm username={username} lockName={Boolean(username)} />
+        <button onClick={endSession} style={{ ...buttonStyle("ghost"), width: "100%", marginTop: 8 }}>
+          {t("auth.switchUser")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function NoAccess() {
+  const user = getSession()?.user;
+  return (
+    <div style={{ ...panelStyle, maxWidth: 480, margin: "0 auto", textAlign: "center", animation: "slideUp 0.3s ease" }}>
+      <p style={{ fontSize: 32, marginBottom: 8 }}>🔒</p>
+      <p style={{ fontSize: 14, marginBottom: 16 }}>
+        {t("auth.noAccess", { role: t(`auth.roles.${user?.role}`) })}
+      </p>
+      <button onClick={() => logout().then(endSession)} style={buttonStyle("ghost")}>{t("auth.switchUser")}</button>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { lowStockRows } from "./inventory.js";
+import { toCsv } from "./csv.js";
+import { downloadFile, dateStamp } from "./download.js";
+import { panelStyle, sectionTitleStyle, inputStyle, buttonStyle, thStyle, tdStyle } from "./ui.js";
+import { t } from "./i18n.js";
+
+// ─── LOW STOCK REPORT ───
+// Everything at or below its reorder level, with a suggested order quantity
+// and a box to book a delivery in.
+const REPORT_COLUMNS = [
+  { key: "tag_id", label: "tag_id" },
+  { key: "name", label: "name" },
+  { key: "category", label: "category" },
+  { key: "stock", label: "stock" },
+  { key: "reorder_level", label: "reorder_level" },
+  { key: "suggested", label: "suggested_order" },
+];
+
+export default function LowStockReport({ products, onRestock }) {
+  const [received, setReceived] = useState({});
+  const rows = lowStockRows(products);
+
+  const restock = async (row) => {
+    const qty = Number(received[row.tag_id] ?? row.suggested);
+    if (!Number.isInteger(qty) || qty <= 0) return;
+    if (await onRestock(row, qty)) setReceived({ ...received, [row.tag_id]: undefined });
+  };
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 16 }}>
+        <h3 style={{ ...sectionTitleStyle, marginBottom: 0, marginRight: "auto" }}>
+          📦 {t("inventory.reportTitle", { count: rows.length })}
+        </h3>
+        <button
+          onClick={() => downloadFile(`low-stock-${dateStamp()}.csv`, toCsv(rows, REPORT_COLUMNS), "text/csv")}
+          disabled={rows.length === 0}
+          style={buttonStyle("ghost")}
+        >
+          {t("inventory.exportCsv")}
+        </button>
+      </div>
+
+      {rows.length === 0 ? (
+        <p style={{ fontSize: 12, color: "var(--text-dim)", fontFamily: "var(--mono)" }}>{t("inventory.allStocked")}</p>
+      ) : (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <th style={thStyle}>{t("catalog.columns.name")}</th>
+                <th style={thStyle}>{t("catalog.columns.category")}</th>
+                <th style={{ ...thStyle, textAlign: "right" }}>{t("inventory.columns.stock")}</th>
+                <th style={{ ...thStyle, textAlign: "right" }}>{t("inventory.columns.reorderLevel")}</th>
+                <th style={thStyle}>{t("inventory.columns.receive")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.tag_id}>
+                  <td style={tdStyle}>
+                    {row.name}
+                    <span style={{ marginLeft: 8, fontFamily: "var(--mono)", fontSize: 10, color: "var(--text-dim)" }}>{row.tag_id}</span>
+                  </td>
+                  <td style={{ ...tdStyle, color: "var(--text-dim)" }}>{row.category}</td>
+                  <td style={{
+                    ...tdStyle, textAlign: "right", fontFamily: "var(--mono)", fontWeight: 700,
+                    color: row.stock <= 0 ? "var(--red)" : "var(--yellow)",
+                  }}>
+                    {row.stock}
+                  </td>
+                  <td style={{ ...tdStyle, textAlign: "right", fontFamily: "var(--mono)", color: "var(--text-dim)" }}>{row.reorder_level}</td>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>
+                    <input
+                      type="number" min="1" step="1"
+                      value={received[row.tag_id] ?? row.suggested}
+                      onChange={(e) => setReceived({ ...received, [row.tag_id]: e.target.value })}
+                      onKeyDown={(e) => e.key === "Enter" && restock(row)}
+                      style={{ ...inputStyle, width: 70, marginRight: 6 }}
+                    />
+                    <button onClick={() => restock(row)} style={buttonStyle("success")}>{t("inventory.receive")}</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import { useState, useMemo } from "react";
+import QrCode from "./QrCode.jsx";
+import {
+  PAYMENT_METHODS, UPI_VPA, amountDue, amountPaid, cashPayment, fromPaise, toPaise,
+  upiUri, suggestedTenders, methodLabel,
+} from "./payment.js";
+import { inputStyle, labelStyle, buttonStyle } from "./ui.js";
+import { t, formatMoney, getLocale } from "./i18n.js";
+
+// ─── PAYMENT STEP ───
+// Sits between CHECKOUT and the receipt. Payments can be split across
+// methods; checkout only completes once they add up to the cart total.
+export default function PaymentModal({ cartId, total, busy, onCancel, onComplete }) {
+  const [payments, setPayments] = useState([]);
+  const [method, setMethod] = useState("cash");
+  const [tendered, setTendered] = useState("");
+  const [upiAmount, setUpiAmount] = useState("");
+  const reference = useMemo(() => `${cartId}-${Date.now().toString(36)}`.toUpperCase(), [cartId]);
+
+  const due = amountDue(total, payments);
+  const overpaid = amountPaid(payments) - toPaise(total);
+  const dueRupees = fromPaise(due);
+  const upiValue = upiAmount === "" ? dueRupees : Number(upiAmount);
+  const upiValid = Number.isFinite(upiValue) && upiValue > 0 && toPaise(upiValue) <= due;
+
+  const addCash = (value) => {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0 || due === 0) return;
+    setPayments([...payments, cashPayment(amount, due)]);
+    setTendered("");
+  };
+
+  const confirmUpi = () => {
+    if (!upiValid) return;
+    setPayments([...payments, { method: "upi", amount: upiValue, reference }]);
+    setUpiAmount("");
+  };
+
+  const tab = (value) => (
+    <button key={value} onClick={() => setMethod(value)} style={{
+      flex: 1, padding: "8px", borderRadius: 8,
+      background: method === value ? "var(--accent-dim)" : "var(--surface-2)",
+      border: `1px solid ${method === value ? "var(--accent)" : "var(--border)"}`,
+      color: method === value ? "var(--accent)" : "var(--text-dim)",
+      cursor: "pointer", fontFamily: "var(--mono)", fontWeight: 700, fontSize: 12,
+    }}>
+      {methodLabel(value)}
+    </button>
+  );
+
+  return (
+    <div style={{
+      position: "fixed", inset: 0, zIndex: 999,
+      background: "#000000aa", backdropFilter: "blur(8px)",
+      display: "flex", alignItems: "center", justifyContent: "center",
+      animation: "fadeIn 0.2s ease",
+    }}>
+      <div style={{
+        background: "var(--surface)", borderRadius: 16,
+        border: "1px solid var(--border)", padding: 28,
+        maxWidth: 440, width: "90%", maxHeight: "92vh", overflowY: "auto",
+        animation: "popIn 0.35s ease",
+      }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 4 }}>
+          <h2 style={{ fontFamily: "var(--mono)", fontSize: 18 }}>{t("payment.title")}</h2>
+          <span style={{ fontFamily: "var(--mono)", fontSize: 11, color: "var(--text-dim)" }}>🔒 {t("payment.locked")}</span>
+        </div>
+        <div style={{
+          display: "flex", justifyContent: "space-between",
+          fontFamily: "var(--mono)", fontSize: 13, color: "var(--text-dim)",
+          padding: "8px 0 14px", borderBottom: "1px solid var(--border)", marginBottom: 14,
+        }}>
+          <span>{t("payment.total", { amount: formatMoney(total) })}</span>
+          <span style={{ color: due > 0 ? "var(--yellow)" : "var(--green)", fontWeight: 700 }}>
+            {t("payment.due", { amount: formatMoney(dueRupees) })}
+          </span>
+        </div>
+
+        {payments.length > 0 && (
+          <div style={{ marginBottom: 14 }}>
+            {payments.map((p, i) => (
+              <div key={i} style={{
+                display: "flex", justifyContent: "space-between", alignItems: "center",
+                padding: "6px 0", fontFamily: "var(--mono)", fontSize: 12,
+              }}>
+                <span>
+                  {methodLabel(p.method)} {formatMoney(p.amount)}
+                  {p.method === "cash" && p.change > 0 && (
+                    <span style={{ color: "var(--text-dim)" }}>
+                      {" "}· {t("payment.tenderedChange", { tendered: formatMoney(p.tendered), change: formatMoney(p.change) })}
+                    </span>
+                  )}
+                </span>
+                <button onClick={() => setPayments(payments.filter((_, j) => j !== i))} title={t("payment.remove")} style={{
+                  background: "none", border: "none", color: "var(--red)", cursor: "pointer", fontSize: 14,
+                }}>×</button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {overpaid > 0 && (
+          <p style={{ fontSize: 12, color: "var(--red)", marginBottom: 12 }}>
+            {t("payment.overpaid", { amount: formatMoney(fromPaise(overpaid)) })}
+          </p>
+        )}
+
+        {due > 0 && (
+          <>
+            <div style={{ display: "flex", gap: 6, marginBottom: 14 }}>
+              {Object.keys(PAYMENT_METHODS).map(tab)}
+            </div>
+
+            {method === "cash" ? (
+              <div>
+                <label style={labelStyle}>{t("payment.tendered", { currency: getLocale().currency })}</label>
+                <div style={{ display: "flex", gap: 8 }}>
+                  <input
+                    type="number" min="0" step="0.01" autoFocus
+                    value={tendered}
+                    onChange={(e) => setTendered(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && addCash(tendered)}
+                    style={{ ...inputStyle, flex: 1, fontSize: 14 }}
+                  />
+                  <button onClick={() => addCash(tendered)} style={buttonStyle("primary")}>{t("payment.add")}</button>
+                </div>
+                {toPaise(tendered) > due && (
+                  <p style={{ fontFamily: "var(--mono)", fontSize: 13, color: "var(--green)", marginTop: 8 }}>
+                    {t("payment.changeDue", { amount: formatMoney(fromPaise(toPaise(tendered) - due)) })}
+                  </p>
+                )}
+                <div style={{ display: "flex", gap: 6, marginTop: 10, flexWrap: "wrap" }}>
+                  {suggestedTenders(dueRupees).map((v) => (
+                    <button key={v} onClick={() => addCash(v)} style={buttonStyle("ghost")}>{formatMoney(v)}</button>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div>
+                <label style={labelStyle}>{t("payment.upiAmount", { currency: getLocale().currency })}</label>
+                <input
+                  type="number" min="0" step="0.01"
+                  placeholder={String(dueRupees)}
+                  value={upiAmount}
+                  onChange={(e) => setUpiAmount(e.target.value)}
+                  style={{ ...inputStyle, fontSize: 14, marginBottom: 12 }}
+                />
+                {!UPI_VPA ? (
+                  <p style={{ fontSize: 12, color: "var(--red)" }}>
+                    {t("payment.noVpa")}
+                  </p>
+                ) : upiValid ? (
+                  <div style={{ textAlign: "center" }}>
+                    <div style={{ display: "inline-block", padding: 8, background: "#fff", borderRadius: 10 }}>
+                      <QrCode value={upiUri({ amount: upiValue, reference })} size={180} />
+                    </div>
+                    <p style={{ fontFamily: "var(--mono)", fontSize: 11, color: "var(--text-dim)", margin: "8px 0 12px" }}>
+                      {t("payment.scanUpi", { vpa: UPI_VPA, reference })}
+                    </p>
+                    <button onClick={confirmUpi} style={{ ...buttonStyle("success"), width: "100%" }}>
+                      ✓ {t("payment.received", { amount: formatMoney(upiValue) })}
+                    </button>
+                  </div>
+                ) : (
+                  <p style={{ fontSize: 12, color: "var(--red)" }}>{t("payment.upiLimit", { amount: formatMoney(dueRupees) })}</p>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <div style={{ display: "flex", gap: 8, marginTop: 20 }}>
+          <button
+            onClick={() => onComplete(payments)}
+            disabled={due > 0 || overpaid > 0 || busy}
+            style={{
+              flex: 1, padding: "12px", borderRadius: 10,
+              background: "linear-gradient(135deg, var(--green), #059669)",
+              color: "#fff", border: "none",
+              cursor: due > 0 || overpaid > 0 ? "not-allowed" : "pointer",
+              opacity: due > 0 || overpaid > 0 || busy ? 0.5 : 1,
+              fontFamily: "var(--mono)", fontWeight: 700, fontSize: 13, letterSpacing: 1,
+            }}
+          >
+            {t(busy ? "payment.completing" : "payment.complete")}
+          </button>
+          <button onClick={onCancel} disabled={busy} style={{ ...buttonStyle("ghost"), padding: "12px 16px" }}>
+            {t("common.cancel")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
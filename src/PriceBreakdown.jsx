@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { totalDiscount } from "./promotions.js";
+import { taxLines } from "./tax.js";
+import { inputStyle, buttonStyle } from "./ui.js";
+import { t, formatMoney, formatSignedMoney } from "./i18n.js";
+
+// ─── PRICE BREAKDOWN ───
+// Checkout footer: a coupon code field, applied coupons, then how the grand
+// total is reached – subtotal and discount from cartPricing(), GST per slab
+// and rounding from computeTax(). Individual discount lines are listed with
+// the cart items.
+export default function PriceBreakdown({ pricing, tax, coupons = [], disabled, onApply, onRemove }) {
+  const [code, setCode] = useState("");
+
+  const apply = async () => {
+    const value = code.trim().toUpperCase();
+    if (!value) return;
+    if (await onApply(value)) setCode("");
+  };
+
+  const row = (label, value, color = "var(--text-dim)") => (
+    <div key={label} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, color, padding: "2px 0" }}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+
+  return (
+    <div style={{ fontFamily: "var(--mono)", marginBottom: 12 }}>
+      <div style={{ display: "flex", gap: 8, marginBottom: 10 }}>
+        <input
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && apply()}
+          placeholder={t("coupon.placeholder")}
+          disabled={disabled}
+          style={{ ...inputStyle, flex: 1, textTransform: "uppercase" }}
+        />
+        <button onClick={apply} disabled={disabled || !code.trim()} style={buttonStyle("ghost")}>{t("coupon.apply")}</button>
+      </div>
+      {coupons.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 10 }}>
+          {coupons.map((c) => (
+            <span key={c} style={{
+              display: "inline-flex", alignItems: "center", gap: 6,
+              padding: "3px 8px", borderRadius: 4,
+              background: "var(--green-dim)", border: "1px solid var(--green)66",
+              color: "var(--green)", fontSize: 10, fontWeight: 700, letterSpacing: 1,
+            }}>
+              🏷 {c}
+              <button onClick={() => onRemove(c)} disabled={disabled} title={t("coupon.remove")} style={{
+                background: "none", border: "none", color: "inherit", cursor: "pointer", padding: 0,
+              }}>✕</button>
+            </span>
+          ))}
+        </div>
+      )}
+      {pricing.discounts.length > 0 && (
+        <>
+          {row(t("receipt.subtotal"), formatMoney(pricing.subtotal))}
+          {row(t("coupon.discount"), `−${formatMoney(totalDiscount(pricing))}`, "var(--green)")}
+        </>
+      )}
+      <div style={{ borderTop: "1px dashed var(--border)", marginTop: 6, paddingTop: 6 }}>
+        {taxLines(tax).map((line) => row(t(line.key, { rate: line.rate }), formatSignedMoney(line.amount)))}
+        <p style={{ fontSize: 10, color: "var(--text-dim)", marginTop: 2 }}>
+          {t(tax.inclusive ? "tax.inclusive" : "tax.exclusive")}
+        </p>
+      </div>
+      {pricing.mismatch && (
+        <p style={{ fontSize: 10, color: "var(--yellow)", marginTop: 4 }}>
+          ⚠ {t("coupon.mismatch")}
+        </p>
+      )}
+    </div>
+  );
+}
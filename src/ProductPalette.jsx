@@ -0,0 +1,184 @@
+import { useState, useMemo, useRef } from "react";
+import { fuzzyBest } from "./fuzzy.js";
+import { itemQty } from "./cartModel.js";
+import { inputStyle } from "./ui.js";
+import StockBadge from "./StockBadge.jsx";
+import { t, formatMoney } from "./i18n.js";
+
+// ─── QUICK SCAN PALETTE ───
+// Searchable product list for simulated scans. Only the rows in view are
+// rendered (fixed row height), so catalogs with thousands of products stay
+// responsive. Recently scanned products are pinned above the rest.
+const ROW_HEIGHT = 38;
+const VIEW_HEIGHT = 266;
+const OVERSCAN = 6;
+
+export default function ProductPalette({ products, cartItems, recent, onScan, disabled }) {
+  const [query, setQuery] = useState("");
+  const [category, setCategory] = useState(null);
+  const [active, setActive] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const listRef = useRef(null);
+
+  const entries = useMemo(
+    () => Object.entries(products).map(([tag, prod]) => ({ tag, ...prod })),
+    [products]
+  );
+  const categories = useMemo(
+    () => [...new Set(entries.map((p) => p.category).filter(Boolean))].sort(),
+    [entries]
+  );
+  const inCart = useMemo(
+    () => new Map(cartItems.map((item) => [item.tag_id, itemQty(item)])),
+    [cartItems]
+  );
+
+  const results = useMemo(() => {
+    const q = query.trim();
+    const pinned = new Map(recent.map((tag, i) => [tag, i]));
+    return entries
+      .filter((p) => !category || p.category === category)
+      .map((p) => ({ p, score: q ? fuzzyBest(q, [p.name, p.tag]) : 0 }))
+      .filter((r) => r.score >= 0)
+      .sort((a, b) => {
+        const pa = pinned.has(a.p.tag) ? pinned.get(a.p.tag) : Infinity;
+        const pb = pinned.has(b.p.tag) ? pinned.get(b.p.tag) : Infinity;
+        if (pa !== pb) return pa < pb ? -1 : 1;
+        return b.score - a.score || a.p.name.localeCompare(b.p.name);
+      })
+      .map((r) => ({ ...r.p, pinned: pinned.has(r.p.tag) }));
+  }, [entries, query, category, recent]);
+
+  const current = Math.min(active, Math.max(results.length - 1, 0));
+
+  const moveTo = (index) => {
+    const next = Math.max(0, Math.min(index, results.length - 1));
+    setActive(next);
+    const el = listRef.current;
+    if (!el) return;
+    const top = next * ROW_HEIGHT;
+    if (top < el.scrollTop) el.scrollTop = top;
+    else if (top + ROW_HEIGHT > el.scrollTop + el.clientHeight) el.scrollTop = top + ROW_HEIGHT - el.clientHeight;
+  };
+
+  const handleKeyDown = (e) => {
+    const page = Math.floor(VIEW_HEIGHT / ROW_HEIGHT);
+    switch (e.key) {
+      case "ArrowDown": moveTo(current + 1); break;
+      case "ArrowUp": moveTo(current - 1); break;
+      case "PageDown": moveTo(current + page); break;
+      case "PageUp": moveTo(current - page); break;
+      case "Enter":
+        if (results[current] && !disabled) onScan(results[current].tag);
+        break;
+      case "Escape":
+        setQuery("");
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  const resetTo = (fn) => (value) => {
+    fn(value);
+    setActive(0);
+    if (listRef.current) listRef.current.scrollTop = 0;
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(results.length, Math.ceil((scrollTop + VIEW_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+  const chip = (label, value) => (
+    <button key={label} onClick={() => resetTo(setCategory)(value === category ? null : value)} style={{
+      padding: "4px 10px", borderRadius: 12,
+      background: category === value ? "var(--accent-dim)" : "var(--surface-2)",
+      border: `1px solid ${category === value ? "var(--accent)" : "var(--border)"}`,
+      color: category === value ? "var(--accent)" : "var(--text-dim)",
+      cursor: "pointer", fontFamily: "var(--mono)", fontSize: 10, fontWeight: 700,
+      whiteSpace: "nowrap",
+    }}>
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      <input
+        type="search"
+        placeholder={t("palette.placeholder")}
+        value={query}
+        onChange={(e) => resetTo(setQuery)(e.target.value)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded="true"
+        aria-controls="quick-scan-list"
+        aria-activedescendant={results[current] ? `qs-${results[current].tag}` : undefined}
+        style={{ ...inputStyle, marginBottom: 8 }}
+      />
+      {categories.length > 0 && (
+        <div style={{ display: "flex", gap: 6, overflowX: "auto", paddingBottom: 6, marginBottom: 6 }}>
+          {chip(t("palette.all"), null)}
+          {categories.map((c) => chip(c.toUpperCase(), c))}
+        </div>
+      )}
+
+      <div
+        ref={listRef}
+        id="quick-scan-list"
+        role="listbox"
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        style={{
+          height: Math.min(VIEW_HEIGHT, Math.max(results.length, 1) * ROW_HEIGHT),
+          overflowY: "auto", position: "relative",
+          border: "1px solid var(--border)", borderRadius: 8,
+          background: "var(--bg)",
+        }}
+      >
+        {results.length === 0 ? (
+          <p style={{ padding: "10px 12px", fontSize: 12, color: "var(--text-dim)", fontFamily: "var(--mono)" }}>
+            {t("palette.noMatches")}
+          </p>
+        ) : (
+          <div style={{ height: results.length * ROW_HEIGHT, position: "relative" }}>
+            {results.slice(first, last).map((p, offset) => {
+              const index = first + offset;
+              const qty = inCart.get(p.tag);
+              const isActive = index === current;
+              return (
+                <div
+                  key={p.tag}
+                  id={`qs-${p.tag}`}
+                  role="option"
+                  aria-selected={isActive}
+                  onMouseEnter={() => setActive(index)}
+                  onClick={() => !disabled && onScan(p.tag)}
+                  style={{
+                    position: "absolute", top: index * ROW_HEIGHT, left: 0, right: 0,
+                    height: ROW_HEIGHT, padding: "0 12px",
+                    display: "flex", alignItems: "center", gap: 10,
+                    cursor: disabled ? "wait" : "pointer",
+                    background: isActive ? "var(--accent-dim)" : qty ? "var(--green-dim)" : "transparent",
+                    borderBottom: "1px solid var(--border)",
+                    fontFamily: "var(--mono)", fontSize: 12,
+                  }}
+                >
+                  {p.pinned && <span title={t("palette.recent")} style={{ color: "var(--yellow)" }}>★</span>}
+                  <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    {p.name}
+                    <span style={{ color: "var(--text-dim)", fontSize: 10, marginLeft: 8 }}>
+                      {p.category} · {p.tag}
+                    </span>
+                  </span>
+                  <StockBadge product={p} held={qty} />
+                  {qty && <b style={{ color: "var(--green)" }}>×{qty}</b>}
+                  <span style={{ color: "var(--accent)" }}>{formatMoney(p.price)}</span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import { useMemo } from "react";
+import QRCode from "qrcode";
+import { t } from "./i18n.js";
+
+// ─── QR CODE ───
+// Encoded in the browser and drawn as one SVG path, so nothing about the
+// payment leaves the dashboard.
+export default function QrCode({ value, size = 200 }) {
+  const { path, count } = useMemo(() => {
+    const { modules } = QRCode.create(value, { errorCorrectionLevel: "M" });
+    let d = "";
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.get(row, col)) d += `M${col + 4} ${row + 4}h1v1h-1z`;
+      }
+    }
+    return { path: d, count: modules.size + 8 }; // 4-module quiet zone each side
+  }, [value]);
+
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${count} ${count}`} shapeRendering="crispEdges" role="img" aria-label={t("payment.qrLabel")}>
+      <rect width={count} height={count} fill="#fff" />
+      <path d={path} fill="#000" />
+    </svg>
+  );
+}
@@ -0,0 +1,95 @@
+import { useState } from "react";
+import { DEFAULT_READER_SETTINGS, SUFFIX_KEYS, compilePattern } from "./keyboardWedge.js";
+import { inputStyle, labelStyle, buttonStyle } from "./ui.js";
+import { t } from "./i18n.js";
+
+// ─── USB READER SETTINGS ───
+// On/off switch for the keyboard-wedge listener, and the reader's framing
+// and tag format behind a gear button.
+export default function ReaderSettings({ settings, onChange, lastCode }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(settings);
+  const patternValid = !draft.pattern || compilePattern(draft.pattern) !== null;
+  const valid = patternValid && draft.maxGap > 0 && draft.minLength > 0;
+  const set = (key, parse = (v) => v) => (e) => setDraft({ ...draft, [key]: parse(e.target.value) });
+
+  const toggleOpen = () => {
+    setDraft(settings);
+    setOpen(!open);
+  };
+
+  const save = () => {
+    if (!valid) return;
+    onChange(draft);
+    setOpen(false);
+  };
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, fontFamily: "var(--mono)", fontSize: 11 }}>
+        <button onClick={() => onChange({ ...settings, enabled: !settings.enabled })} style={{
+          padding: "4px 10px", borderRadius: 6, cursor: "pointer",
+          background: settings.enabled ? "var(--green-dim)" : "none",
+          border: `1px solid ${settings.enabled ? "var(--green)" : "var(--border)"}`,
+          color: settings.enabled ? "var(--green)" : "var(--text-dim)",
+          fontFamily: "var(--mono)", fontSize: 10, fontWeight: 700, letterSpacing: 1,
+        }}>
+          ⌨ {t(settings.enabled ? "reader.on" : "reader.off")}
+        </button>
+        <span style={{ color: "var(--text-dim)", marginRight: "auto" }}>
+          {lastCode ? t("reader.last", { code: lastCode }) : settings.enabled && t("reader.hint")}
+        </span>
+        <button onClick={toggleOpen} title={t("reader.settings")} style={{
+          background: "none", border: "none", color: open ? "var(--accent)" : "var(--text-dim)", cursor: "pointer", fontSize: 14,
+        }}>
+          ⚙
+        </button>
+      </div>
+
+      {open && (
+        <div style={{
+          display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(110px, 1fr))", gap: 10,
+          marginTop: 10, padding: 12, borderRadius: 10,
+          background: "var(--bg)", border: "1px solid var(--border)",
+        }}>
+          <div>
+            <label style={labelStyle}>{t("reader.prefix")}</label>
+            <input value={draft.prefix} onChange={set("prefix")} placeholder={t("reader.none")} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>{t("reader.suffix")}</label>
+            <select value={draft.suffix} onChange={set("suffix")} style={{ ...inputStyle, cursor: "pointer" }}>
+              {SUFFIX_KEYS.map((key) => <option key={key} value={key}>{key || t("reader.pause")}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>{t("reader.maxGap")}</label>
+            <input type="number" min="5" max="200" value={draft.maxGap} onChange={set("maxGap", Number)} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>{t("reader.minLength")}</label>
+            <input type="number" min="1" max="32" value={draft.minLength} onChange={set("minLength", Number)} style={inputStyle} />
+          </div>
+          <div style={{ gridColumn: "1 / -1" }}>
+            <label style={labelStyle}>{t("reader.pattern")}</label>
+            <input
+              value={draft.pattern}
+              onChange={set("pattern")}
+              style={{ ...inputStyle, borderColor: patternValid ? "var(--border)" : "var(--red)" }}
+            />
+            <p style={{ fontSize: 10, marginTop: 3, fontFamily: "var(--mono)", color: patternValid ? "var(--text-dim)" : "var(--red)" }}>
+              {t(patternValid ? "reader.patternHint" : "reader.patternInvalid")}
+            </p>
+          </div>
+          <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8 }}>
+            <button onClick={save} disabled={!valid} style={buttonStyle("primary")}>{t("common.save")}</button>
+            <button onClick={() => setDraft({ ...DEFAULT_READER_SETTINGS, enabled: settings.enabled })} style={buttonStyle("ghost")}>
+              {t("reader.defaults")}
+            </button>
+            <button onClick={() => setOpen(false)} style={buttonStyle("ghost")}>{t("common.cancel")}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import { useState } from "react";
+import { CheckIcon } from "./icons.jsx";
+import { itemQty, lineTotal } from "./cartModel.js";
+import { methodLabel } from "./payment.js";
+import { loadStoreProfile, saveStoreProfile } from "./storeProfile.js";
+import { isCreditNote } from "./returns.js";
+import { taxLines } from "./tax.js";
+import { t, formatMoney, formatSignedMoney } from "./i18n.js";
+import { receiptCsv, receiptEscPos, receiptPdf, receiptText, printReceipt } from "./receiptFormats.js";
+import { downloadFile } from "./download.js";
+import { inputStyle, labelStyle, buttonStyle } from "./ui.js";
+
+const PROFILE_FIELDS = [
+  ["name", "profile.name"],
+  ["address", "profile.address"],
+  ["gstin", "profile.gstin"],
+  ["footer", "profile.footer"],
+];
+
+// ─── RECEIPT MODAL ───
+export default function ReceiptModal({ receipt, title = t("receipt.complete"), onClose }) {
+  const payments = receipt.payments || [];
+  const credit = isCreditNote(receipt);
+  const [profile, setProfile] = useState(loadStoreProfile);
+  const [editingProfile, setEditingProfile] = useState(false);
+  const [paper, setPaper] = useState(80);
+  const base = `receipt-${receipt.receiptId}`;
+
+  const updateProfile = (key, value) => {
+    const next = { ...profile, [key]: value };
+    setProfile(next);
+    saveStoreProfile(next);
+  };
+
+  const exports = [
+    [t("receipt.print"), () => printReceipt(receipt, profile)],
+    ["PDF", () => downloadFile(`${base}.pdf`, receiptPdf(receipt, profile))],
+    ["CSV", () => downloadFile(`${base}.csv`, receiptCsv(receipt, profile), "text/csv")],
+    ["ESC/POS", () => downloadFile(`${base}-${paper}mm.bin`, new Blob([receiptEscPos(receipt, profile, paper)], { type: "application/octet-stream" }))],
+    [t("receipt.text"), () => downloadFile(`${base}-${paper}mm.txt`, receiptText(receipt, profile, paper))],
+  ];
+
+  return (
+    <div style={{
+      position: "fixed", inset: 0, zIndex: 999,
+      background: "#000000aa", backdropFilter: "blur(8px)",
+      display: "flex", alignItems: "center", justifyContent: "center",
+      animation: "fadeIn 0.2s ease",
+    }} onClick={onClose}>
+      <div onClick={(e) => e.stopPropagation()} style={{
+        background: "var(--surface)", borderRadius: 16,
+        border: "1px solid var(--border)", padding: 32,
+        maxWidth: 420, width: "90%", maxHeight: "92vh", overflowY: "auto",
+        animation: "popIn 0.35s ease",
+      }}>
+        <div style={{ textAlign: "center", marginBottom: 20 }}>
+          <div style={{
+            width: 56, height: 56, borderRadius: "50%",
+            background: "var(--green-dim)", border: "2px solid var(--green)",
+            display: "inline-flex", alignItems: "center", justifyContent: "center",
+            marginBottom: 12,
+          }}>
+            <CheckIcon />
+          </div>
+          <h2 style={{ fontFamily: "var(--mono)", fontSize: 20 }}>{title}</h2>
+          <p style={{ fontFamily: "var(--mono)", fontSize: 11, color: "var(--text-dim)", marginTop: 4 }}>
+            {receipt.receiptId}
+            {credit && ` · ${t("receipt.against", { id: receipt.originalReceiptId })}`}
+          </p>
+        </div>
+        <div style={{
+          background: "var(--bg)", borderRadius: 10, padding: 16,
+          border: "1px solid var(--border)", marginBottom: 16,
+        }}>
+          {receipt.items.map((item, i) => (
+            <div key={i} style={{
+              display: "flex", justifyContent: "space-between",
+              padding: "8px 0",
+              borderBottom: i < receipt.items.length - 1 ? "1px solid var(--border)" : "none",
+              fontSize: 14,
+            }}>
+              <span>
+                {item.name}
+                <span style={{ fontFamily: "var(--mono)", fontSize: 11, color: "var(--text-dim)", marginLeft: 8 }}>
+                  {itemQty(item)} × {formatMoney(item.price)}
+                </span>
+              </span>
+              <span style={{ fontFamily: "var(--mono)", color: "var(--accent)" }}>{formatMoney(lineTotal(item))}</span>
+            </div>
+          ))}
+        </div>
+        {receipt.discounts?.length > 0 && (
+          <div style={{ fontFamily: "var(--mono)", fontSize: 12, marginBottom: 8 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", padding: "3px 0", color: "var(--text-dim)" }}>
+              <span>{t("receipt.subtotal")}</span>
+              <span>{formatMoney(receipt.subtotal)}</span>
+            </div>
+            {receipt.discounts.map((d) => (
+              <div key={d.id} style={{ display: "flex", justifyContent: "space-between", padding: "3px 0", color: "var(--green)" }}>
+                <span>🏷 {d.label}</span>
+                <span>−{formatMoney(d.amount)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {receipt.tax && (
+          <div style={{ fontFamily: "var(--mono)", fontSize: 12, color: "var(--text-dim)", marginBottom: 8 }}>
+            {taxLines(receipt.tax).map((line) => (
+              <div key={line.label} style={{ display: "flex", justifyContent: "space-between", padding: "3px 0" }}>
+                <span>{t(line.key, { rate: line.rate })}</span>
+                <span>{formatSignedMoney(line.amount)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        <div style={{
+          display: "flex", justifyContent: "space-between",
+          padding: "12px 0", borderTop: "2px solid var(--accent)",
+          fontFamily: "var(--mono)", fontSize: 18, fontWeight: 700,
+        }}>
+          <span>{t(credit ? "receipt.refund" : "receipt.total")}</span>
+          <span style={{ color: "var(--green)" }}>{formatMoney(receipt.total)}</span>
+        </div>
+        {payments.length > 0 && (
+          <div style={{ fontFamily: "var(--mono)", fontSize: 12, color: "var(--text-dim)" }}>
+            {payments.map((p, i) => (
+              <div key={i} style={{ display: "flex", justifyContent: "space-between", padding: "3px 0" }}>
+                <span>
+                  {t(credit ? "receipt.refunded" : "receipt.paid")} · {methodLabel(p.method)}
+                  {p.reference && ` (${p.reference})`}
+                </span>
+                <span>{formatMoney(p.amount)}</span>
+              </div>
+            ))}
+            {payments.filter((p) => p.change > 0).map((p, i) => (
+              <div key={`change-${i}`} style={{ display: "flex", justifyContent: "space-between", padding: "3px 0" }}>
+                <span>{t("receipt.cashTendered", { amount: formatMoney(p.tendered) })}</span>
+                <span>{t("receipt.change", { amount: formatMoney(p.change) })}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {/* EXPORTS */}
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 16, alignItems: "center" }}>
+          {exports.map(([label, run]) => (
+            <button key={label} onClick={run} style={buttonStyle("ghost")}>{label}</button>
+          ))}
+          <select
+            value={paper}
+            onChange={(e) => setPaper(Number(e.target.value))}
+            title={t("receipt.paperWidth")}
+            style={{ ...inputStyle, width: "auto", padding: "7px 8px", fontSize: 11 }}
+          >
+            <option value={58}>58mm</option>
+            <option value={80}>80mm</option>
+          </select>
+          <button
+            onClick={() => setEditingProfile(!editingProfile)}
+            title={t("receipt.storeDetails")}
+            style={{ ...buttonStyle("ghost"), marginLeft: "auto" }}
+          >
+            ⚙
+          </button>
+        </div>
+        {editingProfile && (
+          <div style={{ display: "grid", gap: 8, marginTop: 12 }}>
+            {PROFILE_FIELDS.map(([key, label]) => (
+              <div key={key}>
+                <label style={labelStyle}>{t(label)}</label>
+                <input value={profile[key]} onChange={(e) => updateProfile(key, e.target.value)} style={inputStyle} />
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button onClick={onClose} style={{
+          width: "100%", marginTop: 16, padding: "12px",
+          background: "var(--accent)", color: "#000",
+          border: "none", borderRadius: 10, cursor: "pointer",
+          fontFamily: "var(--mono)", fontWeight: 700, fontSize: 14,
+        }}>
+          {t("common.done")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import { useState, useEffect } from "react";
+import { returnItems, adjustStock } from "./api.js";
+import { describeError, useUnmountSignal } from "./apiClient.js";
+import { lookupReceipt, normalizeReceipt, cacheReceipts } from "./history.js";
+import { itemQty } from "./cartModel.js";
+import { PAYMENT_METHODS, methodLabel } from "./payment.js";
+import {
+  returnedQty, returnableQty, isFullyReturned, returnLines, refundTotal, markReturned, creditNoteFor,
+} from "./returns.js";
+import { panelStyle, sectionTitleStyle, inputStyle, labelStyle, buttonStyle, thStyle, tdStyle } from "./ui.js";
+import { returnAdjustments } from "./inventory.js";
+import { useReaderSettings, useKeyboardWedge } from "./keyboardWedge.js";
+import ReceiptModal from "./ReceiptModal.jsx";
+import { t, formatMoney, formatDateTime } from "./i18n.js";
+import Toast, { useToast } from "./Toast.jsx";
+
+// ─── RETURNS ───
+// /returns?receipt=<id> opens straight onto that receipt (linked from history)
+//
+// Returned tags are confirmed here rather than in the dashboard's scanner
+// panel, since a scan there adds the item to a live cart. The USB reader
+// feeds the confirmation while this page is open, and the field next to it
+// takes a typed tag.
+export default function ReturnsPage() {
+  const [query, setQuery] = useState(() => new URLSearchParams(window.location.search).get("receipt") || "");
+  const [receipt, setReceipt] = useState(null);
+  const [selection, setSelection] = useState({});
+  const [scanned, setScanned] = useState({});
+  const [requireScan, setRequireScan] = useState(false);
+  const [scanTag, setScanTag] = useState("");
+  const [method, setMethod] = useState("cash");
+  const [looking, setLooking] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [creditNote, setCreditNote] = useState(null);
+  const [toast, showToast] = useToast();
+  const unmountSignal = useUnmountSignal();
+  const [readerSettings] = useReaderSettings();
+
+  const open = (found) => {
+    setReceipt(found);
+    setSelection({});
+    setScanned({});
+    setMethod(found.payments?.[0]?.method || "cash");
+  };
+
+  const handleLookup = async (id = query) => {
+    if (!id.trim()) return;
+    setLooking(true);
+    const found = await lookupReceipt(id, { signal: unmountSignal() });
+    setLooking(false);
+    if (found) open(found);
+    else showToast(t("history.notFound", { id: id.trim() }), "error");
+  };
+
+  useEffect(() => {
+    if (query) handleLookup(query);
+    // only the ?receipt= value from the initial URL
+  }, []);
+
+  // With rescan required, a line can only be returned as many times as its
+  // tag has been scanned back in
+  const maxFor = (item) => {
+    const left = returnableQty(receipt, item);
+    return requireScan ? Math.min(left, scanned[item.tag_id] || 0) : left;
+  };
+
+  const setQty = (item, qty) => {
+    setSelection({ ...selection, [item.tag_id]: Math.max(0, Math.min(qty, maxFor(item))) });
+  };
+
+  const confirmTag = (tagId) => {
+    if (!tagId || !receipt) return;
+    const item = receipt.items.find((i) => i.tag_id === tagId);
+    if (!item) return showToast(t("returns.notOnReceipt", { tag: tagId }), "error");
+    const count = (scanned[tagId] || 0) + 1;
+    if (count > returnableQty(receipt, item)) return showToast(t("returns.allScanned", { name: item.name }), "error");
+    setScanned({ ...scanned, [tagId]: count });
+    setSelection({ ...selection, [tagId]: count });
+    showToast(`✓ ${t("returns.confirmed", { name: item.name })}`);
+  };
+
+  const handleScan = () => {
+    confirmTag(scanTag.trim());
+    setScanTag("");
+  };
+
+  useKeyboardWedge(readerSettings, {
+    onScan: confirmTag,
+    onReject: (code) => showToast(t("reader.rejected", { code }), "warning"),
+  });
+
+  const lines = receipt ? returnLines(receipt, selection) : [];
+  const refund = refundTotal(lines, receipt);
+  const unconfirmed = requireScan && lines.some((item) => item.qty > (scanned[item.tag_id] || 0));
+
+  const handleSubmit = async () => {
+    if (lines.length === 0 || unconfirmed) return;
+    setSubmitting(true);
+    try {
+      const data = await returnItems(receipt.receiptId, lines.map((i) => ({ tag_id: i.tag_id, qty: i.qty })), method);
+      const updated = data.receipt ? normalizeReceipt(data.receipt, receipt.cartId) : markReturned(receipt, lines);
+      cacheReceipts([updated]);
+      setCreditNote(data.creditNote || creditNoteFor(receipt, lines, method));
+      // Returned goods go back on the shelf unless the backend already did it
+      if (!data.stock) {
+        adjustStock(returnAdjustments(lines), "return")
+          .catch((err) => err.status !== 404 && showToast(t("inventory.syncFailed"), "warning"));
+      }
+      open(updated);
+    } catch (err) {
+      showToast(describeError(err, err.status === 409 ? "returns.alreadyReturned" : "returns.failed"), "error");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 20, animation: "slideUp 0.3s ease" }}>
+      <Toast toast={toast} />
+      {creditNote && <ReceiptModal receipt={creditNote} title={t("receipt.creditNote")} onClose={() => setCreditNote(null)} />}
+
+      {/* LOOKUP + SCANNER */}
+      <div style={panelStyle}>
+        <h3 style={sectionTitleStyle}>{t("returns.lookupTitle")}</h3>
+        <div style={{ display: "flex", gap: 10 }}>
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleLookup()}
+            placeholder={t("returns.receiptId")}
+            style={{ ...inputStyle, flex: 1, fontSize: 13, padding: "10px 14px" }}
+          />
+          <button onClick={() => handleLookup()} disabled={looking} style={buttonStyle("primary")}>
+            {looking ? "…" : t("returns.lookUp")}
+          </button>
+        </div>
+
+        {receipt && (
+          <div style={{ marginTop: 16 }}>
+            <label style={{ ...labelStyle, display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={requireScan}
+                onChange={(e) => { setRequireScan(e.target.checked); setSelection({}); }}
+              />
+              {t("returns.requireScan")}
+            </label>
+            <div style={{ display: "flex", gap: 10, marginTop: 8 }}>
+              <input
+                value={scanTag}
+                onChange={(e) => setScanTag(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && handleScan()}
+                placeholder={t("returns.scanPlaceholder")}
+                style={{ ...inputStyle, flex: 1, fontSize: 13, padding: "10px 14px" }}
+              />
+              <button onClick={handleScan} style={buttonStyle("ghost")}>{t("returns.scan")}</button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* RECEIPT LINES */}
+      {receipt && (
+        <div style={panelStyle}>
+          <h3 style={sectionTitleStyle}>
+            {receipt.receiptId} · {receipt.cartId} · {formatDateTime(receipt.timestamp)}
+          </h3>
+          {isFullyReturned(receipt) && (
+            <p style={{ fontFamily: "var(--mono)", fontSize: 12, color: "var(--yellow)", marginBottom: 12 }}>
+              {t("returns.allReturned")}
+            </p>
+          )}
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <th style={thStyle}>{t("returns.columns.product")}</th>
+                <th style={thStyle}>{t("returns.columns.bought")}</th>
+                <th style={thStyle}>{t("returns.columns.returned")}</th>
+                {requireScan && <th style={thStyle}>{t("returns.columns.scanned")}</th>}
+                <th style={thStyle}>{t("returns.columns.return")}</th>
+                <th style={{ ...thStyle, textAlign: "right" }}>{t("returns.columns.refund")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {receipt.items.map((item) => {
+                const qty = Math.min(selection[item.tag_id] || 0, returnableQty(receipt, item));
+                const max = maxFor(item);
+                return (
+                  <tr key={item.tag_id} style={{ opacity: returnableQty(receipt, item) === 0 ? 0.5 : 1 }}>
+                    <td style={tdStyle}>
+                      {item.name}
+                      <span style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--text-dim)", marginLeft: 8 }}>
+                        {item.tag_id}
+                      </span>
+                    </td>
+                    <td style={{ ...tdStyle, fontFamily: "var(--mono)" }}>{itemQty(item)} × {formatMoney(item.price)}</td>
+                    <td style={{ ...tdStyle, fontFamily: "var(--mono)" }}>{returnedQty(receipt, item.tag_id)}</td>
+                    {requireScan && <td style={{ ...tdStyle, fontFamily: "var(--mono)" }}>{scanned[item.tag_id] || 0}</td>}
+                    <td style={tdStyle}>
+                      <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                        <button onClick={() => setQty(item, qty - 1)} disabled={qty === 0} style={buttonStyle("ghost")}>−</button>
+                        <span style={{ fontFamily: "var(--mono)", minWidth: 20, textAlign: "center" }}>{qty}</span>
+                        <button onClick={() => setQty(item, qty + 1)} disabled={qty >= max} style={buttonStyle("ghost")}>+</button>
+                        <button onClick={() => setQty(item, max)} disabled={qty >= max} style={buttonStyle("ghost")}>{t("returns.all")}</button>
+                      </div>
+                    </td>
+                    <td style={{ ...tdStyle, textAlign: "right", fontFamily: "var(--mono)", color: "var(--accent)" }}>
+                      {qty > 0 ? formatMoney(refundTotal([{ ...item, qty }], receipt)) : "—"}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div style={{ display: "flex", alignItems: "flex-end", gap: 12, marginTop: 20 }}>
+            <div>
+              <label style={labelStyle}>{t("returns.refundVia")}</label>
+              <select value={method} onChange={(e) => setMethod(e.target.value)} style={{ ...inputStyle, width: "auto", cursor: "pointer" }}>
+                {Object.keys(PAYMENT_METHODS).map((key) => <option key={key} value={key}>{methodLabel(key)}</option>)}
+              </select>
+            </div>
+            <div style={{ marginLeft: "auto", textAlign: "right" }}>
+              <div style={labelStyle}>{t("returns.refund")}</div>
+              <div style={{ fontFamily: "var(--mono)", fontSize: 24, fontWeight: 700, color: "var(--green)" }}>{formatMoney(refund)}</div>
+            </div>
+            <button
+              onClick={handleSubmit}
+              disabled={submitting || lines.length === 0 || unconfirmed}
+              title={unconfirmed ? t("returns.scanFirst") : undefined}
+              style={{ ...buttonStyle("success"), padding: "12px 18px", opacity: lines.length === 0 || unconfirmed ? 0.5 : 1 }}
+            >
+              {submitting ? "…" : t("returns.issue")}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
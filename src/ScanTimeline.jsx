@@ -0,0 +1,90 @@
+import { SOURCE_LABELS } from "./timeline.js";
+import { t, formatMoney, formatTime } from "./i18n.js";
+
+// ─── SCAN TIMELINE PANEL ───
+const ACTION_COLORS = {
+  added: "var(--green)",
+  removed: "var(--yellow)",
+  cleared: "var(--red)",
+  "checked out": "var(--accent)",
+};
+
+const ACTION_LABELS = {
+  added: "timeline.actions.added",
+  removed: "timeline.actions.removed",
+  cleared: "timeline.actions.cleared",
+  "checked out": "timeline.actions.checkedOut",
+};
+
+export default function ScanTimeline({ entries, canUndo, onUndo }) {
+  if (entries.length === 0) return null;
+
+  return (
+    <div style={{
+      background: "var(--surface)", borderRadius: 14,
+      border: "1px solid var(--border)",
+      padding: 20, animation: "popIn 0.3s ease",
+    }}>
+      <h3 style={{
+        fontFamily: "var(--mono)", fontSize: 12, fontWeight: 700,
+        color: "var(--text-dim)", marginBottom: 10,
+        textTransform: "uppercase", letterSpacing: 1.5,
+      }}>
+        {t("timeline.title", { count: entries.length })}
+      </h3>
+      <div style={{ maxHeight: 320, overflowY: "auto", marginRight: -8, paddingRight: 8 }}>
+        {entries.map((e, i) => (
+          <div key={e.id} style={{
+            display: "grid", gridTemplateColumns: "auto 1fr auto", gap: 12,
+            alignItems: "center", padding: "10px 0",
+            borderBottom: i < entries.length - 1 ? "1px solid var(--border)" : "none",
+            opacity: e.undone ? 0.45 : 1,
+            animation: i === 0 ? "slideUp 0.3s ease" : "none",
+          }}>
+            <div style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--text-dim)", lineHeight: 1.6 }}>
+              <div>{formatTime(e.at)}</div>
+              <div style={{ fontWeight: 700 }}>{SOURCE_LABELS[e.source] ? t(SOURCE_LABELS[e.source]) : e.source}</div>
+            </div>
+            <div style={{ minWidth: 0 }}>
+              <p style={{
+                fontSize: 14, fontWeight: 700,
+                textDecoration: e.undone ? "line-through" : "none",
+                overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+              }}>
+                {e.lines !== undefined ? t("timeline.lines", { count: e.lines }) : e.product}
+              </p>
+              <p style={{
+                fontFamily: "var(--mono)", fontSize: 11, marginTop: 2,
+                color: ACTION_COLORS[e.action], textTransform: "uppercase", fontWeight: 700,
+              }}>
+                {e.action === "added" ? "✓ " : e.action === "removed" ? "✗ " : ""}
+                {ACTION_LABELS[e.action] ? t(ACTION_LABELS[e.action]) : e.action}
+                {e.kind === "item" && (
+                  <span style={{ color: "var(--text-dim)", fontWeight: 400 }}>
+                    {" "}· {t("timeline.qty", { from: e.from, to: e.to })} · {formatMoney(e.price)}
+                  </span>
+                )}
+                {e.undone && <span style={{ color: "var(--text-dim)" }}> · {t("timeline.undone")}</span>}
+              </p>
+            </div>
+            <div style={{ textAlign: "right" }}>
+              <p style={{ fontFamily: "var(--mono)", fontSize: 13, fontWeight: 700, color: "var(--accent)" }}>
+                {formatMoney(e.total)}
+              </p>
+              {canUndo(e) && (
+                <button onClick={() => onUndo(e)} title={t("timeline.undoHint")} style={{
+                  marginTop: 4, padding: "2px 8px", borderRadius: 4,
+                  background: "none", border: "1px solid var(--border)",
+                  color: "var(--text-dim)", cursor: "pointer",
+                  fontFamily: "var(--mono)", fontSize: 10, fontWeight: 700,
+                }}>
+                  ↶ {t("timeline.undo")}
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
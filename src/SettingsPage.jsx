@@ -0,0 +1,179 @@
+import { useState } from "react";
+import { pingBackend, logout } from "./api.js";
+import { describeError } from "./apiClient.js";
+import {
+  useSettings, getSettings, saveSettings, resetSettings, overriddenKeys, isValidApiUrl, normalizeApiUrl,
+  DEFAULT_SETTINGS, THEMES, LIMITS,
+} from "./settings.js";
+import { panelStyle, sectionTitleStyle, inputStyle, labelStyle, buttonStyle } from "./ui.js";
+import { t } from "./i18n.js";
+
+// ─── SETTINGS ───
+// Intervals are edited in seconds and stored in ms
+function toDraft(settings) {
+  return {
+    apiUrl: settings.apiUrl,
+    cartId: settings.cartId,
+    pollInterval: String(settings.pollInterval / 1000),
+    toastDuration: String(settings.toastDuration / 1000),
+    theme: settings.theme,
+  };
+}
+
+function secondsValid(value, [min, max]) {
+  const ms = Number(value) * 1000;
+  return value !== "" && ms >= min && ms <= max;
+}
+
+// The backend URL with its connection test. Also on the sign-in screen,
+// for when the backend has moved and nobody can sign in to change it here.
+export function BackendUrlField({ value, onChange, label }) {
+  const [test, setTest] = useState(null); // { url, ok, message } or { url, busy: true }
+  const url = normalizeApiUrl(value);
+  const valid = isValidApiUrl(url);
+  const result = test?.url === url ? test : null;
+
+  const testConnection = async () => {
+    if (!valid) return;
+    setTest({ url, busy: true });
+    try {
+      const { ms } = await pingBackend(url);
+      setTest({ url, ok: true, message: t("settings.reachable", { ms }) });
+    } catch (err) {
+      setTest({ url, ok: false, message: describeError(err, "settings.unreachable") });
+    }
+  };
+
+  return (
+    <div>
+      {label}
+      <div style={{ display: "flex", gap: 8 }}>
+        <input
+          value={value}
+          onChange={onChange}
+          placeholder={t("settings.sameOrigin")}
+          style={{ ...inputStyle, borderColor: valid ? "var(--border)" : "var(--red)" }}
+        />
+        <button type="button" onClick={testConnection} disabled={!valid || result?.busy} style={{ ...buttonStyle("ghost"), whiteSpace: "nowrap" }}>
+          {t(result?.busy ? "settings.testing" : "settings.test")}
+        </button>
+      </div>
+      {!valid && <p style={{ fontFamily: "var(--mono)", fontSize: 11, color: "var(--red)", marginTop: 4 }}>{t("settings.invalidUrl")}</p>}
+      {result && !result.busy && (
+        <p style={{ fontFamily: "var(--mono)", fontSize: 11, marginTop: 4, color: result.ok ? "var(--green)" : "var(--red)" }}>
+          {result.ok ? "✓" : "✗"} {result.message}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Admin only (see PAGE_PERMISSIONS in App.jsx). A new backend URL signs
+// the user out of the old backend first.
+export function SettingsPanel() {
+  const current = useSettings();
+  const [draft, setDraft] = useState(() => toDraft(current));
+  const [saved, setSaved] = useState(false);
+  const overridden = overriddenKeys();
+
+  const urlValid = isValidApiUrl(normalizeApiUrl(draft.apiUrl));
+  const pollValid = secondsValid(draft.pollInterval, LIMITS.pollInterval);
+  const toastValid = secondsValid(draft.toastDuration, LIMITS.toastDuration);
+  const valid = urlValid && pollValid && toastValid;
+
+  const set = (key) => (e) => {
+    setDraft({ ...draft, [key]: e.target.value });
+    setSaved(false);
+  };
+
+  const label = (key, text) => (
+    <label style={labelStyle}>
+      {text}
+      {overridden.includes(key) && <span style={{ color: "var(--accent)" }}> · {t("settings.fromUrl")}</span>}
+    </label>
+  );
+
+  // Only what was changed is saved, so untouched URL overrides stay in force
+  const save = async () => {
+    if (!valid) return;
+    const next = {
+      apiUrl: normalizeApiUrl(draft.apiUrl),
+      cartId: draft.cartId.trim(),
+      pollInterval: Number(draft.pollInterval) * 1000,
+      toastDuration: Number(draft.toastDuration) * 1000,
+      theme: draft.theme,
+    };
+    if (next.apiUrl !== current.apiUrl) await logout();
+    saveSettings(Object.fromEntries(Object.entries(next).filter(([key, value]) => value !== current[key])));
+    setSaved(true);
+  };
+
+  const reset = async () => {
+    if (!window.confirm(t("settings.confirmReset"))) return;
+    if (current.apiUrl !== DEFAULT_SETTINGS.apiUrl) await logout();
+    resetSettings();
+    setDraft(toDraft(getSettings()));
+    setSaved(false);
+  };
+
+  return (
+    <div style={{ ...panelStyle, animation: "slideUp 0.3s ease" }}>
+      <h3 style={sectionTitleStyle}>⚙ {t("settings.title")}</h3>
+      {overridden.length > 0 && (
+        <p style={{ fontSize: 12, color: "var(--text-dim)", marginBottom: 16 }}>{t("settings.overrideNote")}</p>
+      )}
+
+      <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+        <BackendUrlField value={draft.apiUrl} onChange={set("apiUrl")} label={label("apiUrl", t("settings.apiUrl"))} />
+
+        <div>
+          {label("cartId", t("settings.cartId"))}
+          <input value={draft.cartId} onChange={set("cartId")} placeholder={t("settings.noCart")} style={inputStyle} />
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))", gap: 14 }}>
+          <div>
+            {label("pollInterval", t("settings.pollInterval"))}
+            <input
+              type="number" step="0.5"
+              min={LIMITS.pollInterval[0] / 1000} max={LIMITS.pollInterval[1] / 1000}
+              value={draft.pollInterval}
+              onChange={set("pollInterval")}
+              style={{ ...inputStyle, borderColor: pollValid ? "var(--border)" : "var(--red)" }}
+            />
+          </div>
+          <div>
+            {label("toastDuration", t("settings.toastDuration"))}
+            <input
+              type="number" step="0.5"
+              min={LIMITS.toastDuration[0] / 1000} max={LIMITS.toastDuration[1] / 1000}
+              value={draft.toastDuration}
+              onChange={set("toastDuration")}
+              style={{ ...inputStyle, borderColor: toastValid ? "var(--border)" : "var(--red)" }}
+            />
+          </div>
+          <div>
+            {label("theme", t("settings.theme"))}
+            <select value={draft.theme} onChange={set("theme")} style={{ ...inputStyle, cursor: "pointer" }}>
+              {THEMES.map((theme) => <option key={theme} value={theme}>{t(`settings.themes.${theme}`)}</option>)}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 20 }}>
+        <button onClick={save} disabled={!valid} style={buttonStyle("primary")}>{t("settings.save")}</button>
+        <button onClick={reset} style={buttonStyle("danger")}>{t("settings.reset")}</button>
+        {saved && <span style={{ fontFamily: "var(--mono)", fontSize: 11, color: "var(--green)" }}>✓ {t("settings.saved")}</span>}
+      </div>
+    </div>
+  );
+}
+
+export default function SettingsPage() {
+  return (
+    <div style={{ maxWidth: 560, margin: "0 auto" }}>
+      <SettingsPanel />
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import { useState, useRef } from "react";
+import { makeEntry, parseLine, parseListText, parseListFile, listProgress } from "./shoppingList.js";
+import { readFileText } from "./download.js";
+import { panelStyle, sectionTitleStyle, inputStyle, buttonStyle } from "./ui.js";
+import { t } from "./i18n.js";
+
+// ─── SHOPPING LIST PANEL ───
+// Sits beside the cart. Entries tick off from the live cart; anything the
+// catalog could not match gets a picker so it can still be tracked.
+export default function ShoppingList({ list, onChange, products, items, onError }) {
+  const [draft, setDraft] = useState("");
+  const [pasting, setPasting] = useState(false);
+  const [pasted, setPasted] = useState("");
+  const fileInput = useRef(null);
+  const rows = listProgress(list, items);
+  const doneCount = rows.filter((r) => r.done).length;
+  const productOptions = Object.entries(products).sort((a, b) => a[1].name.localeCompare(b[1].name));
+
+  const addDraft = () => {
+    const line = parseLine(draft);
+    if (!line.text) return;
+    onChange([...list, makeEntry(line.text, products, line.qty)]);
+    setDraft("");
+  };
+
+  const addPasted = () => {
+    const entries = parseListText(pasted, products);
+    if (entries.length > 0) onChange([...list, ...entries]);
+    setPasted("");
+    setPasting(false);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const entries = parseListFile(file.name, await readFileText(file), products);
+      onChange([...list, ...entries]);
+    } catch {
+      onError(t("list.readFailed"));
+    }
+  };
+
+  const update = (id, changes) => onChange(list.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 14 }}>
+        <h3 style={{ ...sectionTitleStyle, marginBottom: 0, marginRight: "auto" }}>
+          📝 {t("list.title", { done: doneCount, count: list.length })}
+        </h3>
+        <button onClick={() => setPasting(!pasting)} style={buttonStyle("ghost")}>{t("list.paste")}</button>
+        <button onClick={() => fileInput.current.click()} style={buttonStyle("ghost")}>{t("list.import")}</button>
+        {list.length > 0 && (
+          <button onClick={() => window.confirm(t("list.confirmClear")) && onChange([])} style={buttonStyle("danger")}>
+            {t("list.clear")}
+          </button>
+        )}
+        <input ref={fileInput} type="file" accept=".txt,.csv" onChange={handleFile} style={{ display: "none" }} />
+      </div>
+
+      {pasting && (
+        <div style={{ marginBottom: 12 }}>
+          <textarea
+            value={pasted}
+            onChange={(e) => setPasted(e.target.value)}
+            placeholder={t("list.pastePlaceholder")}
+            rows={5}
+            style={{ ...inputStyle, resize: "vertical" }}
+          />
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <button onClick={addPasted} disabled={!pasted.trim()} style={buttonStyle("primary")}>{t("list.addAll")}</button>
+            <button onClick={() => setPasting(false)} style={buttonStyle("ghost")}>{t("common.cancel")}</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, marginBottom: 10 }}>
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addDraft()}
+          placeholder={t("list.placeholder")}
+          list="shopping-list-products"
+          style={inputStyle}
+        />
+        <button onClick={addDraft} disabled={!draft.trim()} style={buttonStyle("primary")}>{t("list.add")}</button>
+        <datalist id="shopping-list-products">
+          {productOptions.map(([tag, p]) => <option key={tag} value={p.name} />)}
+        </datalist>
+      </div>
+
+      {rows.length === 0 ? (
+        <p style={{ fontSize: 12, color: "var(--text-dim)", fontFamily: "var(--mono)" }}>{t("list.empty")}</p>
+      ) : (
+        <div style={{ maxHeight: 260, overflowY: "auto" }}>
+          {rows.map((entry) => {
+            const product = entry.tag_id ? products[entry.tag_id] : null;
+            return (
+              <div key={entry.id} style={{
+                display: "flex", alignItems: "center", gap: 10,
+                padding: "8px 0", borderBottom: "1px solid var(--border)",
+                opacity: entry.done ? 0.55 : 1,
+              }}>
+                <span style={{
+                  width: 20, height: 20, borderRadius: 6, flexShrink: 0,
+                  display: "flex", alignItems: "center", justifyContent: "center",
+                  border: `1px solid ${entry.done ? "var(--green)" : "var(--border)"}`,
+                  background: entry.done ? "var(--green-dim)" : "none",
+                  color: "var(--green)", fontSize: 12, fontWeight: 700,
+                }}>
+                  {entry.done ? "✓" : ""}
+                </span>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <p style={{ fontSize: 13, textDecoration: entry.done ? "line-through" : "none" }}>{entry.text}</p>
+                  {product ? (
+                    product.name.toLowerCase() !== entry.text.toLowerCase() && (
+                      <p style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--text-dim)" }}>→ {product.name}</p>
+                    )
+                  ) : (
+                    <select
+                      value=""
+                      onChange={(e) => update(entry.id, { tag_id: e.target.value })}
+                      style={{ ...inputStyle, marginTop: 4, padding: "4px 8px", fontSize: 11, borderColor: "var(--yellow)66", cursor: "pointer" }}
+                    >
+                      <option value="">{t("list.noMatch")}</option>
+                      {productOptions.map(([tag, p]) => <option key={tag} value={tag}>{p.name}</option>)}
+                    </select>
+                  )}
+                </div>
+                <span style={{
+                  fontFamily: "var(--mono)", fontSize: 12, fontWeight: 700,
+                  color: entry.done ? "var(--green)" : entry.have > 0 ? "var(--yellow)" : "var(--text-dim)",
+                }}>
+                  {entry.have}/{entry.qty}
+                </span>
+                <button onClick={() => onChange(list.filter((e) => e.id !== entry.id))} title={t("list.remove")} style={{
+                  padding: "2px 6px", background: "none", border: "none",
+                  color: "var(--text-dim)", cursor: "pointer", fontSize: 14,
+                }}>
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
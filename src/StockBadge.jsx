@@ -0,0 +1,27 @@
+import { availableStock, stockStatus } from "./inventory.js";
+import { t } from "./i18n.js";
+
+// ─── STOCK BADGE ───
+const STATUS_COLORS = {
+  out: { background: "var(--red-dim)", color: "var(--red)" },
+  low: { background: "var(--yellow)22", color: "var(--yellow)" },
+  ok: { background: "none", color: "var(--text-dim)" },
+};
+
+// `held` is how many of the product this cart already holds; `alertsOnly`
+// hides the badge while stock is healthy
+export default function StockBadge({ product, held = 0, alertsOnly = false }) {
+  const status = stockStatus(product, held);
+  if (!status || (alertsOnly && status === "ok")) return null;
+  const left = Math.max(availableStock(product, held), 0);
+  return (
+    <span title={t("inventory.onShelf", { count: product.stock })} style={{
+      padding: "1px 6px", borderRadius: 4, whiteSpace: "nowrap",
+      border: "1px solid currentColor",
+      fontFamily: "var(--mono)", fontSize: 9, fontWeight: 700, letterSpacing: 0.5,
+      ...STATUS_COLORS[status],
+    }}>
+      {status === "out" ? t("inventory.out") : t(status === "low" ? "inventory.low" : "inventory.left", { count: left })}
+    </span>
+  );
+}
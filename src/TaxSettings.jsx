@@ -0,0 +1,80 @@
+import { useState } from "react";
+import { GST_SLABS, useTaxConfig } from "./tax.js";
+import { describeError } from "./apiClient.js";
+import { panelStyle, sectionTitleStyle, inputStyle, labelStyle } from "./ui.js";
+import { t } from "./i18n.js";
+
+// ─── TAX SETTINGS ───
+// Store-wide GST setup, saved on the backend for every terminal. A product's
+// own gst_rate (set in the catalog table) still wins over its category's slab.
+function SlabSelect({ value, onChange, allowDefault, disabled }) {
+  return (
+    <select
+      value={value ?? ""}
+      disabled={disabled}
+      onChange={(e) => onChange(e.target.value === "" ? undefined : Number(e.target.value))}
+      style={{ ...inputStyle, cursor: "pointer" }}
+    >
+      {allowDefault && <option value="">{t("tax.storeDefault")}</option>}
+      {GST_SLABS.map((rate) => <option key={rate} value={rate}>{rate}%</option>)}
+    </select>
+  );
+}
+
+export default function TaxSettings({ categories, onError }) {
+  const [config, save] = useTaxConfig();
+  const [saving, setSaving] = useState(false);
+
+  const update = async (changes) => {
+    setSaving(true);
+    try {
+      await save({ ...config, ...changes });
+    } catch (err) {
+      onError(describeError(err, "tax.saveFailed"));
+    }
+    setSaving(false);
+  };
+
+  const setCategoryRate = (category, rate) => {
+    const next = { ...config.categories };
+    if (rate === undefined) delete next[category];
+    else next[category] = rate;
+    update({ categories: next });
+  };
+
+  const toggle = (key, label) => (
+    <label style={{ ...labelStyle, display: "flex", alignItems: "center", gap: 6, cursor: "pointer", marginBottom: 0 }}>
+      <input type="checkbox" checked={config[key]} disabled={saving} onChange={(e) => update({ [key]: e.target.checked })} />
+      {label}
+    </label>
+  );
+
+  return (
+    <div style={{ ...panelStyle, animation: "slideUp 0.3s ease" }}>
+      <h3 style={sectionTitleStyle}>{t("tax.title")}</h3>
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-end", gap: 20, marginBottom: 16 }}>
+        <div style={{ width: 140 }}>
+          <label style={labelStyle}>{t("tax.defaultSlab")}</label>
+          <SlabSelect value={config.defaultRate} disabled={saving} onChange={(rate) => update({ defaultRate: rate })} />
+        </div>
+        {toggle("inclusive", t("tax.pricesInclude"))}
+        {toggle("interState", t("tax.interState"))}
+      </div>
+      {categories.length > 0 && (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))", gap: 10 }}>
+          {categories.map((category) => (
+            <div key={category}>
+              <label style={labelStyle}>{category.toUpperCase()}</label>
+              <SlabSelect
+                disabled={saving}
+                value={config.categories[category]}
+                onChange={(rate) => setCategoryRate(category, rate)}
+                allowDefault
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
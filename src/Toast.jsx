@@ -0,0 +1,35 @@
+import { useState, useCallback, useRef, useEffect } from "react";
+import { getSettings } from "./settings.js";
+
+// ─── TOAST ───
+export function useToast() {
+  const [toast, setToast] = useState(null);
+  const toastTimer = useRef(null);
+
+  const showToast = useCallback((msg, type = "info") => {
+    clearTimeout(toastTimer.current);
+    setToast({ msg, type });
+    toastTimer.current = setTimeout(() => setToast(null), getSettings().toastDuration);
+  }, []);
+
+  useEffect(() => () => clearTimeout(toastTimer.current), []);
+
+  return [toast, showToast];
+}
+
+export default function Toast({ toast }) {
+  if (!toast) return null;
+  return (
+    <div style={{
+      position: "fixed", top: 20, right: 20, zIndex: 1000,
+      padding: "12px 20px", borderRadius: 10,
+      fontFamily: "var(--mono)", fontSize: 13, fontWeight: 700,
+      animation: "popIn 0.3s ease",
+      background: toast.type === "success" ? "var(--green)" : toast.type === "error" ? "var(--red)" : toast.type === "warning" ? "var(--yellow)" : "var(--accent)",
+      color: "#000",
+      boxShadow: "0 8px 32px #00000066",
+    }}>
+      {toast.msg}
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import { useState, useEffect } from "react";
+import { fetchScanEvents } from "./api.js";
+import { itemQty, lineTotal, itemCount } from "./cartModel.js";
+import { isCreditNote } from "./returns.js";
+import { storedEntries } from "./timeline.js";
+import { toPaise, fromPaise } from "./payment.js";
+
+// ─── STORE ANALYTICS ───
+// Everything is aggregated in the browser from the receipt history (server
+// plus IndexedDB cache) and the scan log. Product and category revenue are
+// line totals before discounts; order revenue is what was actually charged.
+// Credit notes count as refunds, not orders.
+const DAY = 24 * 60 * 60 * 1000;
+
+// from/to are YYYY-MM-DD, inclusive, either may be empty
+export function dateRange(from, to) {
+  return {
+    start: from ? new Date(`${from}T00:00:00`) : null,
+    end: to ? new Date(`${to}T23:59:59.999`) : null,
+  };
+}
+
+function inRange(date, { start, end }) {
+  return (!start || date >= start) && (!end || date <= end);
+}
+
+export function receiptsInRange(receipts, range) {
+  return receipts.filter((r) => inRange(new Date(r.timestamp), range));
+}
+
+export function summarize(receipts) {
+  const orders = receipts.filter((r) => !isCreditNote(r));
+  const refunds = receipts.filter(isCreditNote);
+  const revenue = orders.reduce((sum, r) => sum + toPaise(r.total), 0);
+  const refunded = refunds.reduce((sum, r) => sum + toPaise(r.total), 0);
+  const units = orders.reduce((sum, r) => sum + itemCount(r.items), 0);
+  return {
+    orders: orders.length,
+    revenue: fromPaise(revenue),
+    refunded: fromPaise(refunded),
+    net: fromPaise(revenue - refunded),
+    units,
+    avgOrder: orders.length ? fromPaise(Math.round(revenue / orders.length)) : 0,
+    avgBasket: orders.length ? units / orders.length : 0,
+  };
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Revenue and order count per day (per month once the range passes ~3
+// months), with empty buckets filled in so the chart's x-axis is even
+export function revenueSeries(receipts, range) {
+  const orders = receipts.filter((r) => !isCreditNote(r));
+  if (orders.length === 0) return [];
+  const times = orders.map((r) => new Date(r.timestamp).getTime());
+  const start = range.start || new Date(Math.min(...times));
+  const end = range.end || new Date(Math.max(...times));
+  const monthly = end - start > 92 * DAY;
+  const keyOf = (date) => (monthly ? dayKey(date).slice(0, 7) : dayKey(date));
+
+  const buckets = new Map();
+  const cursor = new Date(start.getFullYear(), start.getMonth(), monthly ? 1 : start.getDate());
+  while (cursor <= end) {
+    buckets.set(keyOf(cursor), { key: keyOf(cursor), revenue: 0, orders: 0 });
+    if (monthly) cursor.setMonth(cursor.getMonth() + 1);
+    else cursor.setDate(cursor.getDate() + 1);
+  }
+  for (const r of orders) {
+    const bucket = buckets.get(keyOf(new Date(r.timestamp)));
+    if (!bucket) continue;
+    bucket.revenue += toPaise(r.total);
+    bucket.orders += 1;
+  }
+  return [...buckets.values()].map((b) => ({ ...b, revenue: fromPaise(b.revenue) }));
+}
+
+// Orders by number of units in the basket
+const BASKET_BINS = [[1, 1], [2, 2], [3, 3], [4, 5], [6, 10], [11, Infinity]];
+
+export function basketSizes(receipts) {
+  const counts = BASKET_BINS.map(([lo, hi]) => ({
+    key: hi === Infinity ? `${lo}+` : lo === hi ? String(lo) : `${lo}–${hi}`,
+    orders: 0,
+  }));
+  for (const r of receipts.filter((x) => !isCreditNote(x))) {
+    const units = itemCount(r.items);
+    const bin = BASKET_BINS.findIndex(([lo, hi]) => units >= lo && units <= hi);
+    if (bin >= 0) counts[bin].orders += 1;
+  }
+  return counts;
+}
+
+function rankLines(receipts, keyOf, nameOf) {
+  const totals = new Map();
+  for (const r of receipts.filter((x) => !isCreditNote(x))) {
+    for (const item of r.items) {
+      const key = keyOf(item);
+      const row = totals.get(key) || { key, name: nameOf(item), units: 0, revenue: 0 };
+      row.units += itemQty(item);
+      row.revenue += toPaise(lineTotal(item));
+      totals.set(key, row);
+    }
+  }
+  return [...totals.values()]
+    .map((row) => ({ ...row, revenue: fromPaise(row.revenue) }))
+    .sort((a, b) => b.revenue - a.revenue || b.units - a.units);
+}
+
+export function topProducts(receipts) {
+  return rankLines(receipts, (item) => item.tag_id, (item) => item.name);
+}
+
+export function topCategories(receipts) {
+  return rankLines(receipts, (item) => item.category || "General", (item) => item.category || "General");
+}
+
+// Per product: how many adds and removes the scan log saw, and the share of
+// adds that were taken back out before checkout
+export function removalRates(events) {
+  const rows = new Map();
+  for (const e of events) {
+    const row = rows.get(e.tagId) || { key: e.tagId, name: e.product, added: 0, removed: 0 };
+    row[e.action === "added" ? "added" : "removed"] += 1;
+    rows.set(e.tagId, row);
+  }
+  return [...rows.values()]
+    .map((row) => ({ ...row, rate: row.added ? Math.min(row.removed / row.added, 1) : 0 }))
+    .sort((a, b) => b.rate - a.rate || b.removed - a.removed);
+}
+
+export function overallRemovalRate(rows) {
+  const added = rows.reduce((sum, r) => sum + r.added, 0);
+  const removed = rows.reduce((sum, r) => sum + r.removed, 0);
+  return added ? Math.min(removed / added, 1) : 0;
+}
+
+// Scan log from the backend; when it has none, the scan timelines kept in
+// this tab. `local` tells the page which one it got.
+export function useScanEvents(range) {
+  const [state, setState] = useState({ events: [], local: false, loading: true });
+  const from = range.start?.toISOString();
+  const to = range.end?.toISOString();
+
+  useEffect(() => {
+    let active = true;
+    const controller = new AbortController();
+    setState((s) => ({ ...s, loading: true }));
+    fetchScanEvents({ from, to }, { signal: controller.signal })
+      .then((data) => (data.scans || [])
+        .filter((s) => s.action === "added" || s.action === "removed")
+        .map((s) => ({ tagId: s.tag_id, product: s.product || s.tag_id, action: s.action, at: new Date(s.timestamp) })))
+      .then((events) => active && setState({ events, local: false, loading: false }))
+      .catch(() => {
+        if (!active) return;
+        const rangeDates = { start: from ? new Date(from) : null, end: to ? new Date(to) : null };
+        const events = storedEntries()
+          .filter((e) => e.kind === "item" && e.source !== "undo")
+          .map((e) => ({ tagId: e.tagId, product: e.product, action: e.action, at: new Date(e.at) }))
+          .filter((e) => inRange(e.at, rangeDates));
+        setState({ events, local: true, loading: false });
+      });
+    return () => {
+      active = false;
+      controller.abort();
+    };
+  }, [from, to]);
+
+  return state;
+}
@@ -0,0 +1,288 @@
+import { authToken } from "./auth.js";
+import { request, newIdempotencyKey, ApiError } from "./apiClient.js";
+import { getSettings } from "./settings.js";
+
+// ─── CONFIG ───
+// The backend URL is a runtime setting (settings.js) so a deployed build
+// can be pointed at another backend without rebuilding
+export const DEFAULT_CART_ID = "default";
+// Payment providers can be slow to confirm, so checkout waits longer
+const CHECKOUT_TIMEOUT = 30000;
+
+function apiBase() {
+  return getSettings().apiUrl;
+}
+
+function cartUrl(cartId, suffix = "") {
+  return `${apiBase()}/api/cart/${encodeURIComponent(cartId)}${suffix}`;
+}
+
+// Failures reject with the error types from apiClient.js; `status` on an
+// ApiError tells callers e.g. that a tag is not in the catalog (404). Reads
+// take an optional { signal } so a page can cancel them when it unmounts.
+
+// Connection test for the settings panel, sent without the session token
+// since it may belong to another backend. Any answer from the API counts,
+// including 401 from a backend that wants a sign-in first. Resolves with
+// { ms } or rejects with the usual error types.
+export async function pingBackend(baseUrl) {
+  const started = Date.now();
+  try {
+    await request(`${baseUrl}/api/products`, { auth: false, retries: 0, timeout: 5000, fallback: "No backend at this address" });
+  } catch (err) {
+    if (!(err instanceof ApiError && (err.status === 401 || err.status === 403))) throw err;
+  }
+  return { ms: Date.now() - started };
+}
+
+// ─── AUTH ───
+// Responds with { token, user: { name, role }, expires_at } where role is
+// "display", "cashier" or "admin". 401 = wrong username or password.
+export function login(username, password) {
+  return request(`${apiBase()}/api/auth/login`, {
+    method: "POST",
+    body: { username, password },
+    fallback: "Sign-in failed",
+  });
+}
+
+// Best effort: the token is dropped locally whatever the server says
+export async function logout() {
+  await request(`${apiBase()}/api/auth/logout`, { method: "POST", timeout: 3000 }).catch(() => {});
+}
+
+// ─── API FUNCTIONS ───
+export function fetchCarts({ signal } = {}) {
+  return request(`${apiBase()}/api/carts`, { signal, fallback: "Failed to fetch carts" });
+}
+
+// Polling passes `retries: 0`; the next poll is its retry
+export function fetchCart(cartId, { signal, retries } = {}) {
+  return request(cartUrl(cartId), { signal, retries, fallback: "Failed to fetch cart" });
+}
+
+// Server-Sent Events stream of "cart" and "scan" events for one cart.
+// EventSource cannot send headers, so the token goes in the query string.
+export function cartEventsUrl(cartId) {
+  const token = authToken();
+  return cartUrl(cartId, token ? `/events?access_token=${encodeURIComponent(token)}` : "/events");
+}
+
+// `key` identifies this one scan across retries and offline replays, so a
+// scan that landed but timed out is not added twice. 404 = tag not in catalog.
+export function scanProduct(cartId, tagId, key = newIdempotencyKey()) {
+  return request(`${apiBase()}/api/scan`, {
+    method: "POST",
+    body: { tag_id: tagId, cart_id: cartId },
+    idempotencyKey: key,
+    fallback: "Scan failed",
+  });
+}
+
+export function setItemQuantity(cartId, tagId, qty) {
+  return request(cartUrl(cartId, `/items/${encodeURIComponent(tagId)}`), {
+    method: "PUT",
+    body: { qty },
+    fallback: "Quantity update failed",
+  });
+}
+
+export function removeItem(cartId, tagId) {
+  return request(cartUrl(cartId, `/items/${encodeURIComponent(tagId)}`), {
+    method: "DELETE",
+    fallback: "Remove failed",
+  });
+}
+
+// Clearing twice leaves the same empty cart, so this is safe to retry
+export function clearCart(cartId) {
+  return request(cartUrl(cartId, "/clear"), { method: "POST", idempotent: true, fallback: "Clear failed" });
+}
+
+// payments: [{ method: "cash" | "upi", amount, ... }] summing to amountDue.
+// charge: { total, tax, taxInclusive, rounding, amountDue } where `total` is
+// the cart after promotions, exactly as the backend prices it (it rejects
+// the checkout if its own pricing disagrees). GST and the rounding to the
+// rupee are sent separately; see checkoutCharge() in tax.js. As with scans,
+// `key` makes a retried checkout return the first receipt instead of
+// charging again.
+export function checkoutCart(cartId, payments = [], charge, key = newIdempotencyKey()) {
+  return request(cartUrl(cartId, "/checkout"), {
+    method: "POST",
+    body: {
+      payments,
+      total: charge.total,
+      tax: charge.tax,
+      tax_inclusive: charge.taxInclusive,
+      rounding: charge.rounding,
+      amount_due: charge.amountDue,
+    },
+    idempotencyKey: key,
+    timeout: CHECKOUT_TIMEOUT,
+    fallback: "Checkout failed",
+  });
+}
+
+// Locked carts reject scans and edits while payment is being taken
+export function lockCart(cartId) {
+  return request(cartUrl(cartId, "/lock"), { method: "POST", idempotent: true, fallback: "Lock failed" });
+}
+
+export function unlockCart(cartId) {
+  return request(cartUrl(cartId, "/unlock"), { method: "POST", idempotent: true, fallback: "Unlock failed" });
+}
+
+// ─── PROMOTIONS ───
+export function fetchPromotions({ signal } = {}) {
+  return request(`${apiBase()}/api/promotions`, { signal, fallback: "Failed to fetch promotions" });
+}
+
+// 404 = unknown coupon code
+export function applyCoupon(cartId, code) {
+  return request(cartUrl(cartId, "/coupons"), {
+    method: "POST",
+    body: { code },
+    fallback: "Coupon not accepted",
+  });
+}
+
+export function removeCoupon(cartId, code) {
+  return request(cartUrl(cartId, `/coupons/${encodeURIComponent(code)}`), {
+    method: "DELETE",
+    fallback: "Failed to remove coupon",
+  });
+}
+
+export function fetchProducts({ signal } = {}) {
+  return request(`${apiBase()}/api/products`, { signal, fallback: "Failed to fetch products" });
+}
+
+// Bind RFID tags to a product. `target` is either { productTagId } to copy an
+// existing catalog product, or { product: { name, price, category } } for a
+// new one. Resolves with the updated catalog.
+export function enrollTags(tagIds, target) {
+  return request(`${apiBase()}/api/products/enroll`, {
+    method: "POST",
+    body: {
+      tag_ids: tagIds,
+      ...(target.product
+        ? { product: target.product }
+        : { product_tag_id: target.productTagId }),
+    },
+    fallback: "Enrollment failed",
+  });
+}
+
+// ─── CATALOG WRITES ───
+// product: { tag_id, name, price, category }
+export function createProduct(product) {
+  return request(`${apiBase()}/api/products`, { method: "POST", body: product, fallback: "Create failed" });
+}
+
+// tagId is the current key; product.tag_id may differ to re-tag the product
+export function updateProduct(tagId, product) {
+  return request(`${apiBase()}/api/products/${encodeURIComponent(tagId)}`, {
+    method: "PUT",
+    body: product,
+    fallback: "Update failed",
+  });
+}
+
+export function deleteProduct(tagId) {
+  return request(`${apiBase()}/api/products/${encodeURIComponent(tagId)}`, {
+    method: "DELETE",
+    fallback: "Delete failed",
+  });
+}
+
+// mode "merge" upserts by tag_id; "replace" swaps out the whole catalog
+export function importProducts(products, mode = "merge") {
+  return request(`${apiBase()}/api/products/import`, {
+    method: "POST",
+    body: { products, mode },
+    fallback: "Import failed",
+  });
+}
+
+// ─── TAX ───
+// Store-wide GST setup, kept on the backend so every terminal prices a cart
+// the same way: { tax_config: { inclusive, inter_state, default_rate,
+// categories: { [category]: rate } } }. PUT answers with the saved config.
+// 404 = backend keeps no tax config (the build defaults apply).
+export function fetchTaxConfig({ signal } = {}) {
+  return request(`${apiBase()}/api/tax-config`, { signal, fallback: "Failed to fetch tax settings" });
+}
+
+export function updateTaxConfig(taxConfig) {
+  return request(`${apiBase()}/api/tax-config`, {
+    method: "PUT",
+    body: { tax_config: taxConfig },
+    fallback: "Failed to save tax settings",
+  });
+}
+
+// ─── ORDER HISTORY ───
+// filters: { cartId, from, to } – dates as ISO strings, all optional
+export function fetchReceipts(filters = {}, { signal } = {}) {
+  const params = new URLSearchParams();
+  if (filters.cartId) params.set("cart_id", filters.cartId);
+  if (filters.from) params.set("from", filters.from);
+  if (filters.to) params.set("to", filters.to);
+  const query = params.toString();
+  return request(`${apiBase()}/api/receipts${query ? `?${query}` : ""}`, { signal, fallback: "Failed to fetch receipts" });
+}
+
+// 404 = receipt not found
+export function fetchReceipt(receiptId, { signal } = {}) {
+  return request(`${apiBase()}/api/receipts/${encodeURIComponent(receiptId)}`, { signal, fallback: "Failed to fetch receipt" });
+}
+
+// ─── INVENTORY ───
+// adjustments: [{ tag_id, delta }], reason: "checkout" | "return" | "restock".
+// Resolves with the updated catalog. Backends that move stock themselves
+// return a `stock` map ({ [tag_id]: count }) from checkout and returns, and
+// the dashboard only calls this when that map is missing. 404 = backend
+// does not track stock. `key` keeps a retried adjustment from moving the
+// stock twice.
+export function adjustStock(adjustments, reason, key = newIdempotencyKey()) {
+  return request(`${apiBase()}/api/products/stock`, {
+    method: "POST",
+    body: { adjustments, reason },
+    idempotencyKey: key,
+    fallback: "Stock update failed",
+  });
+}
+
+// ─── ANALYTICS ───
+// Scan log across carts: { scans: [{ cart_id, tag_id, product, action, timestamp }] }
+// where action is "added" or "removed". filters: { from, to } as ISO strings.
+export function fetchScanEvents(filters = {}, { signal } = {}) {
+  const params = new URLSearchParams();
+  if (filters.from) params.set("from", filters.from);
+  if (filters.to) params.set("to", filters.to);
+  const query = params.toString();
+  return request(`${apiBase()}/api/scans${query ? `?${query}` : ""}`, { signal, fallback: "Failed to fetch scan log" });
+}
+
+// ─── DEVICES ───
+// Heartbeat status reported by each cart's ESP32:
+// { devices: [{ device_id, cart_id, last_seen, last_scan, firmware, rssi, battery }] }
+// Timestamps are ISO strings (last_scan may be null), rssi is in dBm and
+// battery a 0–100 percentage (null when the device runs on mains power).
+export function fetchDevices({ signal, retries } = {}) {
+  return request(`${apiBase()}/api/devices`, { signal, retries, fallback: "Failed to fetch device status" });
+}
+
+// ─── RETURNS ───
+// lines: [{ tag_id, qty }]. Responds with { creditNote, receipt } where the
+// receipt carries the updated `returned` map; 409 if a line was already refunded.
+// `key` makes a retried return answer with the first credit note instead of
+// refunding twice.
+export function returnItems(receiptId, lines, refundMethod, key = newIdempotencyKey()) {
+  return request(`${apiBase()}/api/receipts/${encodeURIComponent(receiptId)}/returns`, {
+    method: "POST",
+    body: { items: lines, refund_method: refundMethod },
+    idempotencyKey: key,
+    fallback: "Return failed",
+  });
+}
@@ -0,0 +1,194 @@
+import { useRef, useEffect, useCallback } from "react";
+import { authHeaders, expireSession } from "./auth.js";
+import { t } from "./i18n.js";
+
+// ─── API CLIENT ───
+// Every backend call goes through request(), which attaches the session
+// token, puts a timeout on the call, retries it with backoff when that is
+// safe, and turns any failure into one of the error types below.
+//
+// Only idempotent calls are retried: GET/PUT/DELETE, POSTs marked
+// `idempotent`, and POSTs carrying an Idempotency-Key (scan, checkout,
+// returns and stock adjustments), which the backend uses to answer a repeat
+// with the original result rather than doing it a second time.
+export const DEFAULT_TIMEOUT = 10000;
+const RETRIES = 2;
+const BACKOFF_BASE = 500;
+const BACKOFF_MAX = 4000;
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+
+// The server answered with an error status. Backends reply with
+// { error, code }: `error` is shown to the user as is, `code` is a stable
+// identifier such as "cart_locked". `message` falls back to the helper's
+// own description when the body has no `error`.
+export class ApiError extends Error {
+  constructor(message, { status, code = null, serverMessage = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.serverMessage = serverMessage;
+  }
+}
+
+// No answer at all: the backend is down or the network is
+export class NetworkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NetworkError";
+  }
+}
+
+// No answer in time. The request may still have landed, which is why only
+// idempotent calls are sent again.
+export class TimeoutError extends NetworkError {
+  constructor(message) {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+// Cancelled through the caller's signal (e.g. the component unmounted)
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+// For requests started outside an effect (refresh buttons, lookups): returns
+// a getter for a signal that aborts when the component unmounts
+export function useUnmountSignal() {
+  const controller = useRef(null);
+  useEffect(() => {
+    controller.current = new AbortController();
+    return () => controller.current.abort();
+  }, []);
+  return useCallback(() => controller.current?.signal, []);
+}
+
+export function newIdempotencyKey() {
+  // randomUUID is only there in secure contexts; store kiosks often are not
+  if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+  const random = () => Math.random().toString(36).slice(2);
+  return `${Date.now().toString(36)}-${random()}${random()}`;
+}
+
+function isRetryable(err) {
+  if (err instanceof NetworkError) return true;
+  return err instanceof ApiError && (err.status >= 500 || err.status === 408 || err.status === 429);
+}
+
+// Exponential with full jitter so carts that lost the backend together do
+// not all come back at the same moment
+function backoff(attempt) {
+  return Math.random() * Math.min(BACKOFF_BASE * 2 ** attempt, BACKOFF_MAX);
+}
+
+// The signal is shared by every attempt, so the listener goes again as soon
+// as the wait is over
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(id);
+      reject(signal.reason);
+    };
+    const id = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function parseBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+async function send(url, { method, body, signal, timeout, idempotencyKey, auth, fallback }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const cancel = () => controller.abort();
+  if (signal?.aborted) cancel();
+  signal?.addEventListener("abort", cancel);
+
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }),
+        ...(auth && authHeaders()),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+    // The token is no longer accepted: App asks the user to sign in again
+    // and the caller still sees the failure
+    if (auth && res.status === 401) expireSession();
+    // Lock, unlock and logout answer 204 with no body at all; anything else
+    // that is not JSON is an error
+    const text = await res.text();
+    const data = text ? parseBody(text) : null;
+    if (!res.ok || (text && data === null)) {
+      throw new ApiError(data?.error || fallback, {
+        status: res.status,
+        code: data?.code || null,
+        serverMessage: data?.error || null,
+      });
+    }
+    return data;
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+    if (timedOut) throw new TimeoutError(`${fallback} (timed out)`);
+    if (signal?.aborted) throw err;
+    // fetch() rejects with a TypeError when the request never reached a server
+    throw new NetworkError(fallback);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", cancel);
+  }
+}
+
+// options: { method, body, signal, timeout, idempotencyKey, idempotent, retries, auth, fallback }
+// `body` is sent as JSON; `retries` caps the extra attempts an idempotent
+// call gets; `auth: false` leaves the session token off; `fallback`
+// describes the failure when the server gives no message of its own.
+// Resolves with the parsed response body, or null when a successful
+// response has none.
+export async function request(url, {
+  method = "GET",
+  body,
+  signal,
+  timeout = DEFAULT_TIMEOUT,
+  idempotencyKey,
+  idempotent = IDEMPOTENT_METHODS.has(method) || Boolean(idempotencyKey),
+  retries = RETRIES,
+  auth = true,
+  fallback = "Request failed",
+} = {}) {
+  const allowed = idempotent ? retries : 0;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(url, { method, body, signal, timeout, idempotencyKey, auth, fallback });
+    } catch (err) {
+      if (attempt >= allowed || !isRetryable(err) || signal?.aborted) throw err;
+      await sleep(backoff(attempt), signal);
+    }
+  }
+}
+
+// Toast text for a failed call: the backend's own message (with its code)
+// when it sent one, otherwise what kind of failure it was, otherwise the
+// caller's generic message
+export function describeError(err, fallbackKey, params) {
+  if (err instanceof TimeoutError) return t("errors.timeout");
+  if (err instanceof NetworkError) return t("errors.network");
+  if (err?.serverMessage) return err.code ? `${err.serverMessage} (${err.code})` : err.serverMessage;
+  return t(fallbackKey, params);
+}
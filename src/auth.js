@@ -0,0 +1,114 @@
+import { useState, useEffect } from "react";
+
+// ─── SESSION & ROLES ───
+// The backend issues a bearer token at sign-in; api.js attaches it to every
+// request. The session is kept in localStorage so a reload stays signed in.
+//
+//   { token, user: { name, role }, username, expiresAt, expired }
+//
+// `username` is what was typed at sign-in; `user.name` is the display name
+// the backend knows the account by, which need not be the same.
+//
+// When the token runs out (its expiry passes, or the server answers 401)
+// the session is kept with `expired: true` and no token: the page stays
+// mounted with its state, gated by the same role, and App puts a sign-in
+// prompt over it. Signing out drops the session entirely.
+const SESSION_KEY = "smartcart.session";
+const SESSION_EVENT = "smartcart:session";
+const MAX_TIMER = 2 ** 31 - 1; // setTimeout's limit, ~24.8 days
+
+export const ROLES = ["display", "cashier", "admin"];
+
+// Which roles may do what. "display" is the shopper-facing screen: it can
+// watch a cart, keep a list and a budget, but not change what is in it.
+const PERMISSIONS = {
+  "cart.view": ["display", "cashier", "admin"],
+  "cart.edit": ["cashier", "admin"], // scans, quantities, removals, coupons, undo
+  "cart.clear": ["cashier", "admin"],
+  "cart.checkout": ["cashier", "admin"],
+  history: ["cashier", "admin"],
+  returns: ["cashier", "admin"],
+  catalog: ["admin"],
+  enroll: ["admin"],
+  analytics: ["admin"],
+  fleet: ["admin"],
+  settings: ["admin"],
+};
+
+function load() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (!saved?.user || !ROLES.includes(saved.user.role)) return null;
+    return isPast(saved.expiresAt) ? { ...saved, token: null, expired: true } : saved;
+  } catch {
+    return null;
+  }
+}
+
+function isPast(expiresAt) {
+  return Boolean(expiresAt) && new Date(expiresAt).getTime() <= Date.now();
+}
+
+let session = load();
+let expiryTimer = null;
+
+function save(next) {
+  session = next;
+  try {
+    if (next) localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+    else localStorage.removeItem(SESSION_KEY);
+  } catch {
+    // signed in for this tab only
+  }
+  scheduleExpiry();
+  window.dispatchEvent(new Event(SESSION_EVENT));
+}
+
+function scheduleExpiry() {
+  clearTimeout(expiryTimer);
+  if (!session?.token || !session.expiresAt) return;
+  const wait = new Date(session.expiresAt).getTime() - Date.now();
+  expiryTimer = setTimeout(() => (isPast(session?.expiresAt) ? expireSession() : scheduleExpiry()), Math.min(Math.max(wait, 0), MAX_TIMER));
+}
+
+scheduleExpiry();
+
+export function getSession() {
+  return session;
+}
+
+// `data` is the login response: { token, user: { name, role }, expires_at }
+export function startSession(data, username) {
+  save({ token: data.token, user: data.user, username, expiresAt: data.expires_at || null, expired: false });
+}
+
+export function expireSession() {
+  if (session?.token) save({ ...session, token: null, expired: true });
+}
+
+export function endSession() {
+  save(null);
+}
+
+export function useSession() {
+  const [current, setCurrent] = useState(session);
+  useEffect(() => {
+    const update = () => setCurrent(session);
+    window.addEventListener(SESSION_EVENT, update);
+    return () => window.removeEventListener(SESSION_EVENT, update);
+  }, []);
+  return current;
+}
+
+export function can(permission) {
+  const role = session?.user?.role;
+  return Boolean(role) && (PERMISSIONS[permission] || []).includes(role);
+}
+
+export function authHeaders() {
+  return session?.token ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+export function authToken() {
+  return session?.token || null;
+}
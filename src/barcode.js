@@ -0,0 +1,30 @@
+// ─── BARCODES ───
+// Retail barcodes (EAN-8, UPC-A, EAN-13) sit alongside RFID tags: a catalog
+// product may carry a `barcode`, and a scanned barcode resolves to that
+// product's tag_id. UPC-A is EAN-13 with a leading zero, so both are stored
+// and compared in their 13-digit form.
+export function checkDigit(body) {
+  const sum = [...body].reverse().reduce((acc, digit, i) => acc + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+}
+
+export function isValidBarcode(code) {
+  const text = String(code || "").trim();
+  if (!/^(\d{8}|\d{12}|\d{13})$/.test(text)) return false;
+  return checkDigit(text.slice(0, -1)) === Number(text.slice(-1));
+}
+
+export function normalizeBarcode(code) {
+  const text = String(code || "").trim();
+  return text.length === 12 ? `0${text}` : text;
+}
+
+// The catalog tag for a scanned code: the code itself when it is a tag,
+// else the product whose barcode matches, else null
+export function resolveCode(code, products) {
+  if (products[code]) return code;
+  if (!isValidBarcode(code)) return null;
+  const barcode = normalizeBarcode(code);
+  const match = Object.entries(products).find(([, p]) => p.barcode && normalizeBarcode(p.barcode) === barcode);
+  return match ? match[0] : null;
+}
@@ -0,0 +1,62 @@
+import { useState, useEffect } from "react";
+
+// ─── BUDGET ───
+// A spending limit for one cart's shopping session, kept in localStorage so
+// it survives reloads. `thresholds` are percentages of the budget; crossing
+// one on the way up raises an alert, and 100 means over budget.
+//
+//   { amount, thresholds: [80, 100] }
+export const DEFAULT_THRESHOLDS = [80, 100];
+
+function storageKey(cartId) {
+  return `smartcart.budget.${cartId}`;
+}
+
+function load(cartId) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(cartId)));
+    return saved?.amount > 0 ? { thresholds: DEFAULT_THRESHOLDS, ...saved } : null;
+  } catch {
+    return null;
+  }
+}
+
+// null while no budget is set
+export function useBudget(cartId) {
+  const [budget, setBudget] = useState(() => load(cartId));
+
+  useEffect(() => {
+    try {
+      if (budget) localStorage.setItem(storageKey(cartId), JSON.stringify(budget));
+      else localStorage.removeItem(storageKey(cartId));
+    } catch {
+      // kept for this tab only
+    }
+  }, [cartId, budget]);
+
+  return [budget, setBudget];
+}
+
+// "80, 100" → [80, 100]; whole percentages between 1 and 200
+export function parseThresholds(text) {
+  const values = String(text).split(/[\s,;]+/).map(Number)
+    .filter((n) => Number.isInteger(n) && n > 0 && n <= 200);
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+export function budgetShare(total, budget) {
+  return budget ? (total / budget.amount) * 100 : 0;
+}
+
+// The highest threshold passed going from prevTotal up to nextTotal, or null
+export function crossedThreshold(prevTotal, nextTotal, budget) {
+  if (!budget || nextTotal <= prevTotal) return null;
+  const before = budgetShare(prevTotal, budget);
+  const after = budgetShare(nextTotal, budget);
+  const passed = budget.thresholds.filter((pct) => before < pct && after >= pct);
+  return passed.length > 0 ? passed[passed.length - 1] : null;
+}
+
+export function isOverBudget(total, budget) {
+  return Boolean(budget) && total > budget.amount;
+}
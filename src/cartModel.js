@@ -0,0 +1,18 @@
+// ─── CART MODEL ───
+// Cart lines carry a qty per product. Older backends sent one line per scan
+// with no qty field, so a missing qty is treated as 1.
+export function itemQty(item) {
+  return Number.isFinite(item.qty) && item.qty > 0 ? item.qty : 1;
+}
+
+export function lineTotal(item) {
+  return item.price * itemQty(item);
+}
+
+export function itemCount(items) {
+  return items.reduce((n, item) => n + itemQty(item), 0);
+}
+
+export function findLine(items, tagId) {
+  return items.find((item) => item.tag_id === tagId);
+}
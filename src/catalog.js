@@ -0,0 +1,114 @@
+import { parseCsv } from "./csv.js";
+import { GST_SLABS } from "./tax.js";
+import { isValidBarcode, normalizeBarcode } from "./barcode.js";
+import { t } from "./i18n.js";
+
+// ─── CATALOG HELPERS ───
+// The API keys the catalog by RFID tag: { [tag_id]: { name, price, category } },
+// plus an optional gst_rate that overrides the category's tax slab and an
+// optional EAN/UPC barcode for counter readers. `stock` and `reorder_level`
+// are optional too; see inventory.js.
+// The admin screen works on flat rows instead.
+export const CATALOG_COLUMNS = [
+  { key: "tag_id", label: "tag_id" },
+  { key: "name", label: "name" },
+  { key: "category", label: "category" },
+  { key: "price", label: "price" },
+  { key: "gst_rate", label: "gst_rate" },
+  { key: "barcode", label: "barcode" },
+  { key: "stock", label: "stock" },
+  { key: "reorder_level", label: "reorder_level" },
+];
+
+export function catalogRows(products) {
+  return Object.entries(products)
+    .map(([tag_id, prod]) => ({ tag_id, ...prod }))
+    .sort((a, b) => a.name.localeCompare(b.name) || a.tag_id.localeCompare(b.tag_id));
+}
+
+export function rowsToCatalog(rows) {
+  return Object.fromEntries(rows.map(({ tag_id, ...prod }) => [tag_id, prod]));
+}
+
+export function normalizeTag(tag) {
+  return String(tag || "").trim();
+}
+
+// Returns { field: message } – empty when the row is valid. `originalTag` is
+// the row's current tag when editing, so keeping the same tag is not a clash.
+export function validateProduct(row, products, originalTag = null) {
+  const errors = {};
+  const tag = normalizeTag(row.tag_id);
+  const price = Number(row.price);
+  if (!tag) errors.tag_id = t("catalog.errors.tagRequired");
+  else if (tag !== originalTag && products[tag]) errors.tag_id = t("catalog.errors.tagUsed", { name: products[tag].name });
+  if (!String(row.name || "").trim()) errors.name = t("catalog.errors.nameRequired");
+  if (row.price === "" || !Number.isFinite(price) || price <= 0) errors.price = t("catalog.errors.price");
+  if (hasField(row, "gst_rate") && !GST_SLABS.includes(Number(row.gst_rate))) errors.gst_rate = t("catalog.errors.gstRate", { slabs: GST_SLABS.join(", ") });
+  const barcode = String(row.barcode || "").trim();
+  if (barcode) {
+    const owner = Object.entries(products).find(([tag, p]) => (
+      tag !== originalTag && p.barcode && normalizeBarcode(p.barcode) === normalizeBarcode(barcode)
+    ));
+    if (!isValidBarcode(barcode)) errors.barcode = t("catalog.errors.barcode");
+    else if (owner) errors.barcode = t("catalog.errors.barcodeUsed", { name: owner[1].name });
+  }
+  for (const key of ["stock", "reorder_level"]) {
+    if (hasField(row, key) && !(Number.isInteger(Number(row[key])) && Number(row[key]) >= 0)) errors[key] = t("catalog.errors.count");
+  }
+  return errors;
+}
+
+function hasField(row, key) {
+  return row[key] !== undefined && row[key] !== null && String(row[key]).trim() !== "";
+}
+
+export function cleanProduct(row) {
+  const product = {
+    tag_id: normalizeTag(row.tag_id),
+    name: String(row.name).trim(),
+    price: Number(row.price),
+    category: String(row.category || "").trim() || "General",
+  };
+  if (hasField(row, "gst_rate")) product.gst_rate = Number(row.gst_rate);
+  if (hasField(row, "stock")) product.stock = Number(row.stock);
+  if (hasField(row, "reorder_level")) product.reorder_level = Number(row.reorder_level);
+  if (String(row.barcode || "").trim()) product.barcode = normalizeBarcode(row.barcode);
+  return product;
+}
+
+// Parses an exported .json (keyed object or array) or .csv catalog. Returns
+// the clean rows plus one message per rejected line; tags and barcodes must
+// be unique within the file.
+export function parseCatalogFile(filename, text) {
+  let raw;
+  if (/\.json$/i.test(filename)) {
+    const data = JSON.parse(text);
+    const source = data.products || data;
+    raw = Array.isArray(source)
+      ? source
+      : Object.entries(source).map(([tag_id, prod]) => ({ tag_id, ...prod }));
+  } else {
+    raw = parseCsv(text);
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+  const seenBarcodes = new Set();
+  raw.forEach((row, i) => {
+    const problems = Object.values(validateProduct(row, {}));
+    const tag = normalizeTag(row.tag_id);
+    const barcode = normalizeBarcode(row.barcode);
+    if (tag && seen.has(tag)) problems.push(t("catalog.errors.duplicate", { tag }));
+    if (barcode && seenBarcodes.has(barcode)) problems.push(t("catalog.errors.duplicateBarcode", { barcode }));
+    if (problems.length > 0) {
+      errors.push(t("catalog.errors.row", { row: i + 1, problems: problems.join(", ") }));
+      return;
+    }
+    seen.add(tag);
+    if (barcode) seenBarcodes.add(barcode);
+    rows.push(cleanProduct(row));
+  });
+  return { rows, errors };
+}
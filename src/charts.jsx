@@ -0,0 +1,108 @@
+// ─── CHARTS ───
+// Plain SVG charts for the analytics page, no charting library. Both take
+// `data` as [{ key, ...values }], read one numeric `field`, and use `format`
+// for axis and tooltip labels. They stretch to the container's width.
+const HEIGHT = 180;
+const PAD = { top: 12, right: 12, bottom: 24, left: 12 };
+
+function axisLabels(data, every) {
+  return data.map((d, i) => (i % every === 0 || i === data.length - 1 ? d.key : null));
+}
+
+function Empty({ text }) {
+  return (
+    <p style={{ textAlign: "center", padding: "60px 0", color: "var(--text-dim)", fontFamily: "var(--mono)", fontSize: 12 }}>
+      {text}
+    </p>
+  );
+}
+
+export function AreaChart({ data, field, format, emptyText, color = "var(--accent)" }) {
+  if (data.length === 0) return <Empty text={emptyText} />;
+  const width = 600;
+  const max = Math.max(...data.map((d) => d[field]), 1);
+  const innerW = width - PAD.left - PAD.right;
+  const innerH = HEIGHT - PAD.top - PAD.bottom;
+  const x = (i) => PAD.left + (data.length === 1 ? innerW / 2 : (i / (data.length - 1)) * innerW);
+  const y = (v) => PAD.top + innerH - (v / max) * innerH;
+  const line = data.map((d, i) => `${i === 0 ? "M" : "L"}${x(i)},${y(d[field])}`).join(" ");
+  const area = `${line} L${x(data.length - 1)},${PAD.top + innerH} L${x(0)},${PAD.top + innerH} Z`;
+  const labels = axisLabels(data, Math.ceil(data.length / 6));
+
+  return (
+    <svg viewBox={`0 0 ${width} ${HEIGHT}`} style={{ width: "100%", height: "auto", display: "block" }}>
+      <line x1={PAD.left} x2={width - PAD.right} y1={PAD.top + innerH} y2={PAD.top + innerH} stroke="var(--border)" />
+      <text x={PAD.left} y={PAD.top + 8} fill="var(--text-dim)" fontSize="10" fontFamily="var(--mono)">{format(max)}</text>
+      <path d={area} fill={color} fillOpacity="0.12" />
+      <path d={line} fill="none" stroke={color} strokeWidth="2" />
+      {data.map((d, i) => (
+        <circle key={d.key} cx={x(i)} cy={y(d[field])} r="3" fill={color}>
+          <title>{`${d.key}: ${format(d[field])}`}</title>
+        </circle>
+      ))}
+      {labels.map((label, i) => label && (
+        <text key={i} x={x(i)} y={HEIGHT - 6} textAnchor="middle" fill="var(--text-dim)" fontSize="10" fontFamily="var(--mono)">
+          {label}
+        </text>
+      ))}
+    </svg>
+  );
+}
+
+export function BarChart({ data, field, format, emptyText, color = "var(--green)" }) {
+  if (data.every((d) => !d[field])) return <Empty text={emptyText} />;
+  const width = 600;
+  const max = Math.max(...data.map((d) => d[field]), 1);
+  const innerW = width - PAD.left - PAD.right;
+  const innerH = HEIGHT - PAD.top - PAD.bottom;
+  const slot = innerW / data.length;
+  const barW = Math.min(slot * 0.7, 60);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${HEIGHT}`} style={{ width: "100%", height: "auto", display: "block" }}>
+      <line x1={PAD.left} x2={width - PAD.right} y1={PAD.top + innerH} y2={PAD.top + innerH} stroke="var(--border)" />
+      {data.map((d, i) => {
+        const h = (d[field] / max) * innerH;
+        const cx = PAD.left + slot * i + slot / 2;
+        return (
+          <g key={d.key}>
+            <rect x={cx - barW / 2} y={PAD.top + innerH - h} width={barW} height={h} rx="3" fill={color} fillOpacity="0.8">
+              <title>{`${d.key}: ${format(d[field])}`}</title>
+            </rect>
+            {d[field] > 0 && (
+              <text x={cx} y={PAD.top + innerH - h - 4} textAnchor="middle" fill="var(--text)" fontSize="10" fontFamily="var(--mono)">
+                {format(d[field])}
+              </text>
+            )}
+            <text x={cx} y={HEIGHT - 6} textAnchor="middle" fill="var(--text-dim)" fontSize="10" fontFamily="var(--mono)">
+              {d.key}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Ranked list with a proportional bar behind each row
+export function RankList({ rows, value, format, detail, emptyText, color = "var(--accent)" }) {
+  if (rows.length === 0) return <Empty text={emptyText} />;
+  const max = Math.max(...rows.map(value), 1);
+  return (
+    <div>
+      {rows.map((row) => (
+        <div key={row.key} style={{ position: "relative", padding: "7px 10px", marginBottom: 4, borderRadius: 6, overflow: "hidden" }}>
+          <div style={{
+            position: "absolute", inset: 0, width: `${(value(row) / max) * 100}%`,
+            background: color, opacity: 0.12,
+          }} />
+          <div style={{ position: "relative", display: "flex", gap: 10, alignItems: "baseline" }}>
+            <span style={{ flex: 1, fontSize: 13, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{row.name}</span>
+            {detail && <span style={{ fontFamily: "var(--mono)", fontSize: 10, color: "var(--text-dim)" }}>{detail(row)}</span>}
+            <span style={{ fontFamily: "var(--mono)", fontSize: 12, fontWeight: 700 }}>{format(value(row))}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
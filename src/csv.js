@@ -0,0 +1,49 @@
+// ─── CSV ───
+// RFC 4180-style quoting: fields with commas, quotes or newlines are wrapped
+// in double quotes and embedded quotes are doubled.
+function escapeField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function csvLine(values) {
+  return values.map(escapeField).join(",");
+}
+
+// columns: [{ key, label }] – rows are plain objects
+export function toCsv(rows, columns) {
+  const header = csvLine(columns.map((c) => c.label || c.key));
+  const lines = rows.map((row) => csvLine(columns.map((c) => row[c.key])));
+  return [header, ...lines].join("\r\n");
+}
+
+// Returns an array of objects keyed by the (trimmed, lower-cased) header row
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) { row.push(field); rows.push(row); }
+
+  const [header = [], ...body] = rows.filter((r) => r.some((f) => f.trim() !== ""));
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return body.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
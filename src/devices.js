@@ -0,0 +1,73 @@
+import { useState, useEffect } from "react";
+import { fetchDevices } from "./api.js";
+
+// ─── DEVICE FLEET ───
+// Each cart's ESP32 posts a heartbeat to the backend; /api/devices reports
+// the latest one per device. A device whose heartbeat is older than
+// STALE_AFTER is treated as stale (powered off, out of Wi-Fi range, crashed).
+export const DEVICE_POLL_INTERVAL = 10000;
+export const STALE_AFTER = (Number(import.meta.env.VITE_DEVICE_STALE_SECONDS) || 60) * 1000;
+
+export function normalizeDevice(raw) {
+  return {
+    deviceId: raw.device_id || raw.id,
+    cartId: raw.cart_id || null,
+    lastSeen: raw.last_seen || null,
+    lastScan: raw.last_scan || null,
+    firmware: raw.firmware || null,
+    rssi: Number.isFinite(raw.rssi) ? raw.rssi : null,
+    battery: Number.isFinite(raw.battery) ? raw.battery : null,
+  };
+}
+
+export function isStale(device, now = Date.now()) {
+  return !device.lastSeen || now - new Date(device.lastSeen).getTime() > STALE_AFTER;
+}
+
+// 0–4 bars, using the usual Wi-Fi RSSI bands
+export function signalBars(rssi) {
+  if (rssi == null) return 0;
+  if (rssi >= -55) return 4;
+  if (rssi >= -67) return 3;
+  if (rssi >= -75) return 2;
+  if (rssi >= -85) return 1;
+  return 0;
+}
+
+export function batteryColor(battery) {
+  if (battery == null) return "var(--text-dim)";
+  if (battery <= 15) return "var(--red)";
+  if (battery <= 30) return "var(--yellow)";
+  return "var(--green)";
+}
+
+// Polls the device list; `now` ticks with it so "last seen" ages stay
+// current between polls. `error` is set while the endpoint is unreachable.
+export function useDeviceFleet() {
+  const [state, setState] = useState({ devices: [], loading: true, error: false });
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    let active = true;
+    const controller = new AbortController();
+    const load = () => fetchDevices({ signal: controller.signal, retries: 0 })
+      .then((data) => active && setState({
+        devices: (data.devices || []).map(normalizeDevice).filter((d) => d.deviceId),
+        loading: false,
+        error: false,
+      }))
+      .catch(() => active && setState((s) => ({ ...s, loading: false, error: true })))
+      .finally(() => active && setNow(Date.now()));
+    load();
+    const poll = setInterval(load, DEVICE_POLL_INTERVAL);
+    const clock = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      active = false;
+      controller.abort();
+      clearInterval(poll);
+      clearInterval(clock);
+    };
+  }, []);
+
+  return { ...state, now };
+}
@@ -0,0 +1,27 @@
+// ─── FILE DOWNLOAD ───
+// Everything is generated client-side, so "download" is a Blob + object URL.
+export function downloadFile(filename, content, type = "text/plain") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// YYYY-MM-DD for file names
+export function dateStamp(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
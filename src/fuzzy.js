@@ -0,0 +1,28 @@
+// ─── FUZZY MATCH ───
+// Subsequence match: every query character must appear in order. Contiguous
+// runs and hits at word starts score higher, so "mlk" finds "Milk" and
+// "a1b2" finds tag "A1B2C3D4". Returns -1 when there is no match.
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = String(text).toLowerCase();
+  if (!q) return 0;
+  if (t.includes(q)) return 100 + (t.startsWith(q) ? 50 : 0) - t.length / 100;
+
+  let score = 0;
+  let ti = 0;
+  let run = 0;
+  for (const ch of q) {
+    const found = t.indexOf(ch, ti);
+    if (found === -1) return -1;
+    run = found === ti ? run + 1 : 0;
+    const wordStart = found === 0 || /[\s\-_/]/.test(t[found - 1]);
+    score += 1 + run * 2 + (wordStart ? 3 : 0);
+    ti = found + 1;
+  }
+  return score;
+}
+
+// Best score across several fields of one record
+export function fuzzyBest(query, fields) {
+  return Math.max(...fields.map((f) => fuzzyScore(query, f)));
+}
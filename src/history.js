@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from "react";
+import { fetchReceipts, fetchReceipt } from "./api.js";
+import { useUnmountSignal, isAbortError } from "./apiClient.js";
+import { idbPut, idbGet, idbGetAll } from "./idb.js";
+import { receiptDate } from "./receiptFormats.js";
+
+// ─── ORDER HISTORY ───
+// Receipts come from /api/receipts and are mirrored into IndexedDB, so the
+// history view (and receipt lookup for returns) keeps working offline.
+// Checkouts made from this dashboard are cached the moment they complete.
+const STORE = "receipts";
+
+export function normalizeReceipt(receipt, cartId) {
+  return {
+    ...receipt,
+    cartId: receipt.cartId || receipt.cart_id || cartId || "unknown",
+    timestamp: receiptDate(receipt).toISOString(),
+  };
+}
+
+export async function cacheReceipts(receipts) {
+  try {
+    await Promise.all(receipts.map((r) => idbPut(STORE, r)));
+  } catch {
+    // cache is best-effort; the server copy is authoritative
+  }
+}
+
+// Cache first, then the server; resolves null when neither has it or the
+// lookup was cancelled
+export async function lookupReceipt(receiptId, { signal } = {}) {
+  const id = receiptId.trim();
+  if (!id) return null;
+  try {
+    const data = await fetchReceipt(id, { signal });
+    const receipt = normalizeReceipt(data.receipt);
+    cacheReceipts([receipt]);
+    return receipt;
+  } catch (err) {
+    if (isAbortError(err)) return null;
+    return (await idbGet(STORE, id).catch(() => null)) || null;
+  }
+}
+
+export function useReceiptHistory() {
+  const [receipts, setReceipts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [offline, setOffline] = useState(false);
+  const unmountSignal = useUnmountSignal();
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    const cached = await idbGetAll(STORE).catch(() => []);
+    setReceipts(cached);
+    try {
+      const data = await fetchReceipts({}, { signal: unmountSignal() });
+      const fresh = (data.receipts || []).map((r) => normalizeReceipt(r));
+      await cacheReceipts(fresh);
+      // Keep locally cached receipts the server has not returned (e.g. made
+      // while offline and not yet synced)
+      const byId = new Map(cached.map((r) => [r.receiptId, r]));
+      fresh.forEach((r) => byId.set(r.receiptId, r));
+      setReceipts([...byId.values()]);
+      setOffline(false);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setOffline(true);
+    }
+    setLoading(false);
+  }, [unmountSignal]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  return { receipts, loading, offline, refresh };
+}
+
+// filters: { query, cartId, from, to, minTotal, maxTotal, product }.
+// `query` matches receipt IDs; `from`/`to` are YYYY-MM-DD (inclusive).
+export function filterReceipts(receipts, filters) {
+  const query = filters.query.trim().toLowerCase();
+  const product = filters.product.trim().toLowerCase();
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+  const min = filters.minTotal === "" ? -Infinity : Number(filters.minTotal);
+  const max = filters.maxTotal === "" ? Infinity : Number(filters.maxTotal);
+
+  return receipts
+    .filter((r) => {
+      const at = new Date(r.timestamp);
+      if (query && !String(r.receiptId).toLowerCase().includes(query)) return false;
+      if (filters.cartId && r.cartId !== filters.cartId) return false;
+      if (from && at < from) return false;
+      if (to && at > to) return false;
+      if (r.total < min || r.total > max) return false;
+      if (product && !r.items.some((i) => i.name.toLowerCase().includes(product) || i.tag_id === filters.product.trim())) return false;
+      return true;
+    })
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
@@ -0,0 +1,136 @@
+import { useState, useEffect } from "react";
+import en from "./messages/en.js";
+import hi from "./messages/hi.js";
+
+// ─── I18N ───
+// UI text lives in per-language message catalogs (src/messages/*.js) keyed
+// by dotted paths: t("cart.title", { count: 3 }). A key missing from the
+// active catalog falls back to English. `{name}` placeholders are filled from
+// params; when params.count is given, a "key_one" / "key_other" pair is
+// picked with the language's plural rules.
+//
+// Money always goes through formatMoney(), which uses Intl with the active
+// locale (en-IN and hi-IN group digits in lakhs: 1,00,000) and the store
+// currency. Language and currency are remembered in localStorage; changing
+// either fires LOCALE_EVENT so App re-renders the whole tree.
+const SETTINGS_KEY = "smartcart.locale";
+const LOCALE_EVENT = "smartcart:locale";
+
+export const LANGUAGES = {
+  en: { label: "English", intl: "en-IN", messages: en },
+  hi: { label: "हिन्दी", intl: "hi-IN", messages: hi },
+};
+
+export const CURRENCIES = ["INR", "USD", "EUR", "GBP", "AED", "SGD"];
+
+const DEFAULT_SETTINGS = {
+  language: import.meta.env.VITE_LANGUAGE || "en",
+  currency: import.meta.env.VITE_STORE_CURRENCY || "INR",
+};
+
+function loadSettings() {
+  try {
+    const saved = { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+    return LANGUAGES[saved.language] ? saved : { ...saved, language: "en" };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+let settings = loadSettings();
+let formatters = {};
+
+export function getLocale() {
+  return settings;
+}
+
+export function setLocale(changes) {
+  settings = { ...settings, ...changes };
+  formatters = {};
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // remembered for this tab only
+  }
+  document.documentElement.lang = settings.language;
+  window.dispatchEvent(new Event(LOCALE_EVENT));
+}
+
+export function useLocale() {
+  const [current, setCurrent] = useState(settings);
+  useEffect(() => {
+    const update = () => setCurrent(settings);
+    window.addEventListener(LOCALE_EVENT, update);
+    return () => window.removeEventListener(LOCALE_EVENT, update);
+  }, []);
+  return current;
+}
+
+function intlLocale() {
+  return LANGUAGES[settings.language].intl;
+}
+
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+export function t(key, params = {}) {
+  const catalogs = [LANGUAGES[settings.language].messages, en];
+  let message;
+  for (const messages of catalogs) {
+    let found;
+    if (params.count !== undefined) {
+      formatters.plural ||= new Intl.PluralRules(intlLocale());
+      found = lookup(messages, `${key}_${formatters.plural.select(params.count)}`) ?? lookup(messages, `${key}_other`);
+    }
+    found ??= lookup(messages, key);
+    if (typeof found === "string") {
+      message = found;
+      break;
+    }
+  }
+  if (typeof message !== "string") return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+}
+
+// ─── NUMBERS & DATES ───
+export function formatMoney(amount) {
+  formatters.money ||= new Intl.NumberFormat(intlLocale(), { style: "currency", currency: settings.currency });
+  return formatters.money.format(Number(amount) || 0);
+}
+
+// Money with an explicit sign, for discounts and rounding adjustments
+export function formatSignedMoney(amount) {
+  return `${amount < 0 ? "−" : ""}${formatMoney(Math.abs(amount))}`;
+}
+
+// Grouped amount without the currency symbol, e.g. for printed receipts
+export function formatAmount(amount) {
+  formatters.amount ||= new Intl.NumberFormat(intlLocale(), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return formatters.amount.format(Number(amount) || 0);
+}
+
+export function formatNumber(value) {
+  formatters.number ||= new Intl.NumberFormat(intlLocale());
+  return formatters.number.format(value);
+}
+
+export function formatDateTime(date) {
+  formatters.dateTime ||= new Intl.DateTimeFormat(intlLocale(), { dateStyle: "medium", timeStyle: "short" });
+  return formatters.dateTime.format(new Date(date));
+}
+
+export function formatTime(date) {
+  formatters.time ||= new Intl.DateTimeFormat(intlLocale(), { timeStyle: "medium" });
+  return formatters.time.format(new Date(date));
+}
+
+// "12 seconds ago", "3 minutes ago", … relative to `now`
+const RELATIVE_UNITS = [["day", 86400], ["hour", 3600], ["minute", 60], ["second", 1]];
+
+export function formatRelative(date, now = Date.now()) {
+  formatters.relative ||= new Intl.RelativeTimeFormat(intlLocale(), { numeric: "auto" });
+  const seconds = Math.round((new Date(date).getTime() - now) / 1000);
+  const [unit, size] = RELATIVE_UNITS.find(([, s]) => Math.abs(seconds) >= s) || RELATIVE_UNITS[3];
+  return formatters.relative.format(Math.round(seconds / size), unit);
+}
@@ -0,0 +1,64 @@
+// ─── INDEXEDDB ───
+// Small promise wrapper around the one "smartcart" database. Add new object
+// stores to STORES and bump DB_VERSION; missing stores are created on upgrade.
+const DB_NAME = "smartcart";
+const DB_VERSION = 2;
+const STORES = {
+  pendingOps: { keyPath: "seq", autoIncrement: true, indexes: ["cartId"] },
+  receipts: { keyPath: "receiptId", indexes: ["cartId"] },
+};
+
+let dbPromise = null;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [name, { indexes = [], ...options }] of Object.entries(STORES)) {
+        if (db.objectStoreNames.contains(name)) continue;
+        const store = db.createObjectStore(name, options);
+        indexes.forEach((index) => store.createIndex(index, index));
+      }
+    };
+    dbPromise = request(req).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function store(name, mode) {
+  const db = await openDb();
+  return db.transaction(name, mode).objectStore(name);
+}
+
+export async function idbAdd(name, value) {
+  return request((await store(name, "readwrite")).add(value));
+}
+
+export async function idbPut(name, value) {
+  return request((await store(name, "readwrite")).put(value));
+}
+
+export async function idbGet(name, key) {
+  return request((await store(name, "readonly")).get(key));
+}
+
+export async function idbDelete(name, key) {
+  return request((await store(name, "readwrite")).delete(key));
+}
+
+// All records, or only those whose `index` equals `key`, in key order
+export async function idbGetAll(name, index, key) {
+  const s = await store(name, "readonly");
+  return request(index ? s.index(index).getAll(key) : s.getAll());
+}
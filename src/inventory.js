@@ -0,0 +1,73 @@
+import { itemQty } from "./cartModel.js";
+
+// ─── INVENTORY ───
+// Catalog products may carry `stock` (units on the shelf) and `reorder_level`
+// (restock once stock falls to this). Products without `stock` are not
+// tracked and never show a badge or warning.
+//
+// Stock only moves when money does: down on checkout, back up on returns.
+// What is sitting in the open cart is held against it, so the badges show
+// what is left for other shoppers and go back up when a line is removed or
+// the cart is cleared.
+export const DEFAULT_REORDER_LEVEL = 5;
+
+export function isTracked(product) {
+  return Number.isFinite(product?.stock);
+}
+
+export function reorderLevel(product) {
+  return Number.isFinite(product?.reorder_level) ? product.reorder_level : DEFAULT_REORDER_LEVEL;
+}
+
+// Units left once `held` more are taken; null when untracked
+export function availableStock(product, held = 0) {
+  return isTracked(product) ? product.stock - held : null;
+}
+
+// "out" | "low" | "ok", or null when untracked
+export function stockStatus(product, held = 0) {
+  const left = availableStock(product, held);
+  if (left === null) return null;
+  if (left <= 0) return "out";
+  return left <= reorderLevel(product) ? "low" : "ok";
+}
+
+// Units per tag in a cart (older backends repeat a tag once per scan)
+export function heldStock(items) {
+  const held = new Map();
+  for (const item of items) held.set(item.tag_id, (held.get(item.tag_id) || 0) + itemQty(item));
+  return held;
+}
+
+export function checkoutAdjustments(items) {
+  return [...heldStock(items)].map(([tag_id, qty]) => ({ tag_id, delta: -qty }));
+}
+
+export function returnAdjustments(lines) {
+  return lines.map((line) => ({ tag_id: line.tag_id, delta: line.qty }));
+}
+
+// Merge a { [tag_id]: stock } map from the backend into the catalog
+export function applyStockLevels(products, stock) {
+  const next = { ...products };
+  for (const [tag, count] of Object.entries(stock)) {
+    if (next[tag]) next[tag] = { ...next[tag], stock: count };
+  }
+  return next;
+}
+
+// Tracked products at or below their reorder level, emptiest first.
+// `suggested` tops the shelf back up to twice the reorder level.
+export function lowStockRows(products) {
+  return Object.entries(products)
+    .filter(([, p]) => isTracked(p) && p.stock <= reorderLevel(p))
+    .map(([tag_id, p]) => ({
+      tag_id,
+      name: p.name,
+      category: p.category,
+      stock: p.stock,
+      reorder_level: reorderLevel(p),
+      suggested: Math.max(reorderLevel(p) * 2 - p.stock, 1),
+    }))
+    .sort((a, b) => a.stock - b.stock || a.name.localeCompare(b.name));
+}
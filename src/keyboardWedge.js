@@ -0,0 +1,134 @@
+import { useState, useEffect, useRef } from "react";
+import { isValidBarcode } from "./barcode.js";
+
+// ─── KEYBOARD-WEDGE READERS ───
+// USB RFID and barcode readers present themselves as keyboards and "type"
+// the code followed by a terminator key. A window-level listener catches
+// those bursts wherever focus is: keys arriving less than `maxGap` ms apart
+// are a reader, anything slower is a person typing. From the second fast key
+// on, keystrokes are swallowed so the code does not also land in a focused
+// field; the very first one can still leak into a text box unless the reader
+// is set to send a `prefix`, which is swallowed from the first key.
+//
+// A code is accepted when it is a valid EAN/UPC barcode or matches
+// `pattern` (the RFID tag format).
+const SETTINGS_KEY = "smartcart.reader";
+
+export const SUFFIX_KEYS = ["Enter", "Tab", ""]; // "" = no terminator, end on a pause
+
+export const DEFAULT_READER_SETTINGS = {
+  enabled: true,
+  prefix: "",
+  suffix: "Enter",
+  maxGap: 40,
+  minLength: 4,
+  pattern: "^[0-9A-Fa-f]{8,20}$",
+};
+
+function loadSettings() {
+  try {
+    return { ...DEFAULT_READER_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return { ...DEFAULT_READER_SETTINGS };
+  }
+}
+
+export function useReaderSettings() {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch {
+      // used for this tab only
+    }
+  }, [settings]);
+
+  return [settings, setSettings];
+}
+
+export function compilePattern(pattern) {
+  try {
+    return pattern ? new RegExp(pattern) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function isAcceptedCode(code, settings) {
+  if (isValidBarcode(code)) return true;
+  const pattern = compilePattern(settings.pattern);
+  return pattern ? pattern.test(code) : true;
+}
+
+// The code inside a finished burst, or null when the prefix is missing
+export function extractCode(chars, settings) {
+  const text = chars.join("");
+  if (!settings.prefix) return text.trim();
+  return text.startsWith(settings.prefix) ? text.slice(settings.prefix.length).trim() : null;
+}
+
+// Calls onScan(code) for every accepted burst and onReject(code) for bursts
+// that look like a reader but fail the format check
+export function useKeyboardWedge(settings, { onScan, onReject }) {
+  const handlers = useRef({ onScan, onReject });
+  handlers.current = { onScan, onReject };
+
+  useEffect(() => {
+    if (!settings.enabled) return;
+    let chars = [];
+    let lastAt = 0;
+    let idleTimer = null;
+
+    const isBurst = () => chars.length >= 2;
+    const inPrefix = () => {
+      const text = chars.join("");
+      return Boolean(settings.prefix) && (text.startsWith(settings.prefix) || settings.prefix.startsWith(text));
+    };
+
+    const finish = () => {
+      clearTimeout(idleTimer);
+      const code = chars.length >= settings.minLength ? extractCode(chars, settings) : null;
+      chars = [];
+      if (code == null || code.length < settings.minLength) return false;
+      if (isAcceptedCode(code, settings)) handlers.current.onScan(code);
+      else handlers.current.onReject?.(code);
+      return true;
+    };
+
+    const swallow = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey || e.key === "Shift") return;
+      const now = e.timeStamp || performance.now();
+      if (now - lastAt > settings.maxGap) chars = [];
+      lastAt = now;
+
+      if (settings.suffix && e.key === settings.suffix) {
+        if (isBurst() && finish()) swallow(e);
+        chars = [];
+        return;
+      }
+      if (e.key.length !== 1) {
+        chars = [];
+        return;
+      }
+
+      chars.push(e.key);
+      if (isBurst() || inPrefix()) swallow(e);
+      if (!settings.suffix) {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => isBurst() && finish(), settings.maxGap * 3);
+      }
+    };
+
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown, true);
+      clearTimeout(idleTimer);
+    };
+  }, [settings]);
+}
@@ -0,0 +1,123 @@
+import { useState, useEffect, useRef } from "react";
+import { fetchCart, cartEventsUrl } from "./api.js";
+import { useSettings } from "./settings.js";
+
+// ─── LIVE CART SUBSCRIPTION ───
+// Prefers the Server-Sent Events stream at /api/cart/:cartId/events, which
+// pushes "cart" and "scan" events as ESP32 scans land. While the stream is
+// down we fall back to the polling loop and retry the stream with backoff.
+const RECONNECT_BASE = 1000;
+const RECONNECT_MAX = 30000;
+// A stream that neither opens nor errors (e.g. held by a buffering proxy)
+// is given up on after this long
+const HANDSHAKE_TIMEOUT = 5000;
+
+export const TRANSPORT = {
+  CONNECTING: "connecting",
+  LIVE: "live",
+  POLLING: "polling",
+  OFFLINE: "offline",
+};
+
+export function useLiveCart(cartId, { onCart, onScan }) {
+  const [transport, setTransport] = useState(TRANSPORT.CONNECTING);
+  const { pollInterval } = useSettings();
+  const handlers = useRef({ onCart, onScan });
+  handlers.current = { onCart, onScan };
+
+  useEffect(() => {
+    let active = true;
+    let source = null;
+    let pollId = null;
+    let retryId = null;
+    let handshakeId = null;
+    let attempt = 0;
+    const controller = new AbortController();
+
+    const poll = async () => {
+      const requestedAt = Date.now();
+      try {
+        const data = await fetchCart(cartId, { signal: controller.signal, retries: 0 });
+        if (!active || source?.readyState === 1) return;
+        handlers.current.onCart(data.cart, { requestedAt });
+        // An answer means the server is up, so a first fetch that lands
+        // while the stream handshake is in flight counts as online too
+        setTransport((current) => (pollId || current === TRANSPORT.CONNECTING ? TRANSPORT.POLLING : current));
+      } catch {
+        if (active && pollId) setTransport(TRANSPORT.OFFLINE);
+      }
+    };
+
+    const startPolling = () => {
+      if (pollId) return;
+      pollId = setInterval(poll, pollInterval);
+      poll();
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollId);
+      pollId = null;
+    };
+
+    const parse = (e) => {
+      try {
+        return JSON.parse(e.data);
+      } catch {
+        return null;
+      }
+    };
+
+    // EventSource retries on its own only for some failures; take over so
+    // the backoff and the polling fallback stay under our control
+    const fallBack = () => {
+      clearTimeout(handshakeId);
+      source?.close();
+      source = null;
+      startPolling();
+      const delay = Math.min(RECONNECT_BASE * 2 ** attempt, RECONNECT_MAX);
+      attempt++;
+      retryId = setTimeout(connect, delay);
+    };
+
+    const connect = () => {
+      if (!active) return;
+      source = new EventSource(cartEventsUrl(cartId));
+      handshakeId = setTimeout(fallBack, HANDSHAKE_TIMEOUT);
+      source.onopen = () => {
+        clearTimeout(handshakeId);
+        attempt = 0;
+        stopPolling();
+        setTransport(TRANSPORT.LIVE);
+      };
+      source.addEventListener("cart", (e) => {
+        const data = parse(e);
+        if (data?.cart) handlers.current.onCart(data.cart, { requestedAt: Date.now() });
+      });
+      source.addEventListener("scan", (e) => {
+        const data = parse(e);
+        if (!data) return;
+        if (data.cart) handlers.current.onCart(data.cart, { requestedAt: Date.now() });
+        handlers.current.onScan?.(data);
+      });
+      source.onerror = fallBack;
+    };
+
+    if (typeof EventSource === "undefined") startPolling();
+    else {
+      // Show data straight away instead of waiting on the stream handshake
+      poll();
+      connect();
+    }
+
+    return () => {
+      active = false;
+      controller.abort();
+      source?.close();
+      stopPolling();
+      clearTimeout(retryId);
+      clearTimeout(handshakeId);
+    };
+  }, [cartId, pollInterval]);
+
+  return transport;
+}
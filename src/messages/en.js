@@ -0,0 +1,539 @@
+// ─── ENGLISH ───
+// The reference catalog: every key used in the UI is defined here, and other
+// languages fall back to it for anything they have not translated yet.
+export default {
+  app: {
+    footer: "SMART CART v1.0 · ESP32 + React + Express · Embedded Systems Project",
+  },
+  header: {
+    brand: "SMART CART",
+    tagline: "IoT Shopping Dashboard",
+    language: "Language",
+    currency: "Store currency",
+  },
+  nav: {
+    carts: "CARTS",
+    catalog: "CATALOG",
+    history: "HISTORY",
+    returns: "RETURNS",
+    analytics: "ANALYTICS",
+    fleet: "FLEET",
+    settings: "SETTINGS",
+  },
+  status: {
+    online: "ONLINE",
+    offline: "OFFLINE",
+    connecting: "CONNECTING",
+    live: "ONLINE · LIVE",
+    polling: "ONLINE · POLLING",
+    syncing: "SYNCING",
+    queued_one: "{count} QUEUED",
+    queued_other: "{count} QUEUED",
+  },
+  common: {
+    cancel: "CANCEL",
+    done: "DONE",
+    save: "SAVE",
+    edit: "EDIT",
+    delete: "DELETE",
+    loading: "LOADING…",
+    refresh: "REFRESH",
+  },
+  picker: {
+    switch: "Switch cart",
+    option: "CART · {id}",
+    title: "Select a Cart",
+    placeholder: "Cart ID (e.g. cart-02)",
+    open: "OPEN",
+  },
+  dashboard: {
+    locked: "Cart is locked while payment is pending",
+    queued: "{op} queued",
+    quantityFailed: "Failed to update quantity",
+    removeFailed: "Failed to remove item",
+    cleared: "Cart cleared",
+    clearFailed: "Failed to clear",
+    checkoutFailed: "Checkout failed",
+  },
+  scan: {
+    added: "{product} added",
+    removed: "{product} removed",
+    unknownTag: "Unknown tag – enroll it below",
+    unknownTagNoEnroll: "Unknown tag {tag} – ask a store admin to enroll it",
+    failed: "Scan failed",
+  },
+  scanner: {
+    title: "RFID Scanner (Simulator)",
+    exitEnroll: "EXIT ENROLL",
+    enrollMode: "ENROLL MODE",
+    enrollPlaceholder: "Scan a tag to enroll",
+    placeholder: "Enter Tag ID (e.g. A1B2C3D4)",
+    add: "ADD",
+    scan: "SCAN",
+    quickScan: "QUICK SCAN (tap to simulate):",
+  },
+  inventory: {
+    onShelf: "{count} on the shelf",
+    out: "OUT OF STOCK",
+    low: "LOW · {count} LEFT",
+    left: "{count} LEFT",
+    scannedOut: "{product} is out of stock according to inventory — check the shelf count",
+    syncFailed: "Stock levels could not be updated",
+    reportTitle: "Low stock ({count})",
+    exportCsv: "EXPORT CSV",
+    allStocked: "Everything is above its reorder level",
+    untracked: "untracked",
+    receive: "RECEIVE",
+    restocked_one: "{count} unit of {name} received",
+    restocked_other: "{count} units of {name} received",
+    restockFailed: "Restock failed",
+    columns: {
+      stock: "STOCK",
+      reorderLevel: "REORDER AT",
+      stockReorder: "STOCK / REORDER AT",
+      receive: "RECEIVE",
+    },
+  },
+  auth: {
+    prompt: "Sign in to continue",
+    username: "USERNAME",
+    password: "PASSWORD",
+    signIn: "SIGN IN",
+    signingIn: "SIGNING IN…",
+    signOut: "SIGN OUT",
+    invalid: "Wrong username or password",
+    offline: "Cannot reach the server",
+    failed: "Sign-in failed, try again",
+    expiredTitle: "Session expired",
+    expired: "Your session has ended. Sign in again to carry on where you left off.",
+    switchUser: "SIGN IN AS SOMEONE ELSE",
+    connectionSettings: "CONNECTION SETTINGS",
+    noAccess: "Your role ({role}) cannot open this page.",
+    roles: {
+      display: "Shopper display",
+      cashier: "Cashier",
+      admin: "Store admin",
+    },
+  },
+  reader: {
+    on: "USB READER ON",
+    off: "USB READER OFF",
+    hint: "Scan anywhere — no need to click the box",
+    last: "Last read: {code}",
+    settings: "Reader settings",
+    prefix: "PREFIX",
+    suffix: "TERMINATOR",
+    none: "none",
+    pause: "(pause)",
+    maxGap: "MAX KEY GAP (ms)",
+    minLength: "MIN LENGTH",
+    pattern: "RFID TAG FORMAT (regex)",
+    patternHint: "EAN-8, UPC-A and EAN-13 barcodes are always accepted",
+    patternInvalid: "Not a valid regular expression",
+    defaults: "DEFAULTS",
+    rejected: "Ignored unrecognised code {code}",
+  },
+  enroll: {
+    alreadyEnrolled: "{tag} is already enrolled as {name}",
+    enrolled_one: "{count} tag enrolled as {name}",
+    enrolled_other: "{count} tags enrolled as {name}",
+    failed: "Enrollment failed",
+    bulkTitle: "BULK ENROLL – SCAN TAGS ONE AFTER ANOTHER",
+    unknownTitle: "UNKNOWN TAG – ENROLL IT?",
+    noTags: "No tags scanned yet",
+    dropTag: "Drop tag",
+    existing: "EXISTING PRODUCT",
+    new: "NEW PRODUCT",
+    product: "PRODUCT",
+    name: "NAME",
+    category: "CATEGORY",
+    price: "PRICE ({currency})",
+    saving: "ENROLLING…",
+    submit_one: "ENROLL {count} TAG",
+    submit_other: "ENROLL {count} TAGS",
+  },
+  coupon: {
+    alreadyApplied: "{code} is already applied",
+    unknown: "Unknown coupon {code}",
+    applied: "{code} applied",
+    rejected: "Coupon {code} not accepted",
+    removeFailed: "Failed to remove coupon",
+    placeholder: "Coupon code",
+    apply: "APPLY",
+    remove: "Remove coupon",
+    discount: "DISCOUNT",
+    mismatch: "Server pricing differs from local promotions – server total is charged",
+  },
+  timeline: {
+    title: "Scan Timeline ({count})",
+    nothingToUndo: "Cart changed since – nothing to undo",
+    undid: "Undid {action}",
+    undoFailed: "Undo failed",
+    lines_one: "{count} line",
+    lines_other: "{count} lines",
+    qty: "qty {from} → {to}",
+    undone: "UNDONE",
+    undoHint: "Reverse this change",
+    undo: "UNDO",
+    sources: {
+      simulator: "SIMULATOR",
+      quick: "QUICK SCAN",
+      reader: "USB READER",
+      esp32: "ESP32",
+      operator: "OPERATOR",
+      replay: "OFFLINE REPLAY",
+      undo: "UNDO",
+    },
+    actions: {
+      added: "added",
+      removed: "removed",
+      cleared: "cleared",
+      checkedOut: "checked out",
+    },
+  },
+  conflicts: {
+    title: "Sync Conflicts ({count})",
+    dismiss: "DISMISS",
+  },
+  stats: {
+    items: "ITEMS",
+    total: "TOTAL",
+  },
+  cart: {
+    title: "Cart ({count})",
+    clear: "CLEAR",
+    empty: "Cart is empty",
+    emptyHint: "Scan an RFID tag to add items",
+    askCashier: "A cashier will check this cart out",
+    decrease: "Decrease",
+    increase: "Increase",
+    remove: "Remove from cart",
+    promotion: "promotion",
+    queuedAt: "queued {time}",
+    pending: "PENDING",
+    items_one: "{count} item",
+    items_other: "{count} items",
+    checkout: "CHECKOUT",
+  },
+  ops: {
+    scan: "Scan {name}",
+    quantity: "Set {name} to {qty}",
+    remove: "Remove {name}",
+    clear: "Clear cart",
+    checkout: "Checkout",
+    coupon: "Apply coupon {code}",
+    uncoupon: "Remove coupon {code}",
+    drifted: "Cart changed on the server while offline",
+    notReplayed: "{op} not replayed – cart changed while offline",
+    rejected: "{op} rejected – {error}",
+  },
+  errors: {
+    network: "Server unreachable – check the connection",
+    timeout: "Server took too long to answer – try again",
+    request: "request failed",
+  },
+  palette: {
+    placeholder: "Search products or tag IDs  (↑↓ to move, Enter to scan)",
+    all: "ALL",
+    noMatches: "No matching products",
+    recent: "Recently scanned",
+  },
+  payment: {
+    qrLabel: "Payment QR code",
+    methods: {
+      cash: "CASH",
+      upi: "UPI",
+    },
+    title: "Payment",
+    locked: "CART LOCKED",
+    total: "TOTAL {amount}",
+    due: "DUE {amount}",
+    tenderedChange: "tendered {tendered}, change {change}",
+    remove: "Remove payment",
+    overpaid: "Cart total dropped while paying – payments exceed it by {amount}. Remove a payment to continue.",
+    tendered: "AMOUNT TENDERED ({currency})",
+    add: "ADD",
+    changeDue: "CHANGE DUE {amount}",
+    upiAmount: "UPI AMOUNT ({currency})",
+    noVpa: "No UPI ID configured – set VITE_UPI_VPA to accept UPI.",
+    scanUpi: "Scan with any UPI app · {vpa} · ref {reference}",
+    received: "{amount} RECEIVED",
+    upiLimit: "Enter an amount up to {amount}",
+    completing: "COMPLETING…",
+    complete: "COMPLETE CHECKOUT",
+  },
+  receipt: {
+    title: "Receipt",
+    complete: "Checkout Complete",
+    creditNote: "Credit Note",
+    print: "PRINT",
+    text: "TEXT",
+    against: "against {id}",
+    subtotal: "SUBTOTAL",
+    total: "TOTAL",
+    refund: "REFUND",
+    paid: "PAID",
+    refunded: "REFUNDED",
+    cashTendered: "CASH TENDERED {amount}",
+    change: "CHANGE {amount}",
+    paperWidth: "Thermal paper width",
+    storeDetails: "Store details printed on receipts",
+  },
+  profile: {
+    name: "STORE NAME",
+    address: "ADDRESS",
+    gstin: "GSTIN",
+    footer: "FOOTER TEXT",
+  },
+  tax: {
+    title: "GST",
+    taxable: "TAXABLE VALUE",
+    cgst: "CGST {rate}%",
+    sgst: "SGST {rate}%",
+    igst: "IGST {rate}%",
+    rounding: "ROUNDING",
+    inclusive: "Prices include GST",
+    exclusive: "Prices exclude GST",
+    storeDefault: "Store default",
+    saveFailed: "Tax settings could not be saved",
+    defaultSlab: "DEFAULT SLAB",
+    pricesInclude: "PRICES INCLUDE GST",
+    interState: "INTER-STATE (IGST)",
+  },
+  catalog: {
+    title: "Product Catalog ({count})",
+    search: "Search name, tag, category, barcode",
+    add: "ADD PRODUCT",
+    import: "IMPORT",
+    exportCsv: "EXPORT CSV",
+    exportJson: "EXPORT JSON",
+    categoryRate: "Category",
+    loadFailed: "Failed to load catalog",
+    saved: "{name} saved",
+    saveFailed: "Save failed",
+    confirmDelete: "Delete {name} ({tag})?",
+    deleted: "{name} deleted",
+    deleteFailed: "Delete failed",
+    readFailed: "Could not read that file",
+    imported_one: "Imported {count} product",
+    imported_other: "Imported {count} products",
+    importFailed: "Import failed",
+    importReady_one: "{count} valid product ready to import",
+    importReady_other: "{count} valid products ready to import",
+    rejected: "{count} rejected",
+    moreErrors: "…and {count} more",
+    merge: "MERGE INTO CATALOG",
+    confirmReplace: "Replace the whole catalog with this file?",
+    replace: "REPLACE CATALOG",
+    noMatches: "No products match your search",
+    empty: "Catalog is empty",
+    placeholders: {
+      tag: "Tag ID",
+      name: "Name",
+      category: "General",
+      price: "0",
+      barcode: "EAN / UPC",
+    },
+    columns: {
+      tag: "TAG ID",
+      name: "NAME",
+      category: "CATEGORY",
+      price: "PRICE",
+      gst: "GST",
+      barcode: "BARCODE",
+    },
+    errors: {
+      tagRequired: "Tag ID is required",
+      tagUsed: "Tag already used by {name}",
+      nameRequired: "Name is required",
+      price: "Price must be greater than 0",
+      gstRate: "GST rate must be one of {slabs}",
+      duplicate: "duplicate tag {tag}",
+      barcode: "Not a valid EAN-8, UPC-A or EAN-13 barcode",
+      barcodeUsed: "Barcode already used by {name}",
+      duplicateBarcode: "duplicate barcode {barcode}",
+      count: "Must be a whole number, 0 or more",
+      row: "Row {row}: {problems}",
+    },
+  },
+  history: {
+    title: "Order History ({count})",
+    titleFiltered: "Order History ({shown} of {count})",
+    offline: "OFFLINE · SHOWING CACHED RECEIPTS",
+    notFound: "No receipt {id}",
+    receiptId: "RECEIPT ID",
+    searchHint: "Search or Enter to look up",
+    cart: "CART",
+    allCarts: "All carts",
+    from: "FROM",
+    to: "TO",
+    minTotal: "MIN TOTAL ({currency})",
+    maxTotal: "MAX TOTAL ({currency})",
+    product: "PRODUCT",
+    productHint: "Name or tag ID",
+    resetFilters: "RESET FILTERS",
+    open: "OPEN",
+    return: "RETURN",
+    returned: "RETURNED",
+    empty: "No checkouts yet",
+    noMatches: "No receipts match these filters",
+    columns: {
+      date: "DATE",
+      receipt: "RECEIPT",
+      cart: "CART",
+      items: "ITEMS",
+      total: "TOTAL",
+    },
+  },
+  list: {
+    title: "Shopping List ({done}/{count})",
+    paste: "PASTE",
+    import: "IMPORT",
+    clear: "CLEAR",
+    confirmClear: "Clear the whole shopping list?",
+    pastePlaceholder: "One item per line, e.g.\n2 x Milk\nBread\nEggs x12",
+    addAll: "ADD ALL",
+    placeholder: "Add an item (e.g. 2 x Milk)",
+    add: "ADD",
+    empty: "No list yet – type, paste or import one",
+    noMatch: "Not in catalog – pick a product…",
+    remove: "Remove from list",
+    readFailed: "Could not read that list",
+    unlisted: "NOT ON LIST",
+    checkoutWarning_one: "{count} list item is not in the cart yet: {items}\n\nCheck out anyway?",
+    checkoutWarning_other: "{count} list items are not in the cart yet: {items}\n\nCheck out anyway?",
+  },
+  budget: {
+    title: "Budget",
+    amount: "BUDGET ({currency})",
+    thresholds: "ALERT AT (% OF BUDGET)",
+    remove: "REMOVE",
+    spent: "{total} of {amount}",
+    left: "{amount} left",
+    over: "{amount} over",
+    threshold: "{pct}% of your budget used – {total} of {amount}",
+    reached: "Budget reached – {total} of {amount}",
+    pushedOver: "{product} ({price}) took the cart {amount} over budget",
+  },
+  analytics: {
+    title: "Store analytics",
+    presets: { "7d": "7D", "30d": "30D", "90d": "90D", all: "ALL" },
+    export: "EXPORT CSV",
+    revenue: "REVENUE",
+    orders: "ORDERS",
+    avgOrder: "AVG ORDER VALUE",
+    avgBasket: "AVG BASKET (UNITS)",
+    refunds: "REFUNDS",
+    removalRate: "ADD-THEN-REMOVE",
+    revenueOverTime: "Revenue over time",
+    basketSizes: "Orders by basket size",
+    topProducts: "Top products",
+    topCategories: "Top categories",
+    mostRemoved: "Most put back",
+    units_one: "{count} unit",
+    units_other: "{count} units",
+    removedOf: "{removed} of {added}",
+    noOrders: "No checkouts in this range",
+    noScans: "No scans in this range",
+    localScans: "Scan log unavailable — showing scans seen in this browser tab only.",
+  },
+  fleet: {
+    title_one: "{count} cart device",
+    title_other: "{count} cart devices",
+    summary: "{online} ONLINE · {stale} STALE · STALE AFTER {seconds}s",
+    unreachable: "Device status unavailable",
+    empty: "No devices have reported in yet",
+    online: "ONLINE",
+    stale: "STALE",
+    never: "never",
+    unassigned: "unassigned",
+    mains: "MAINS",
+    openCart: "OPEN CART",
+    alerts_one: "{count} stale device",
+    alerts_other: "{count} stale devices",
+    staleSince: "{device} (cart {cart}) last heartbeat {ago}",
+    neverSeen: "{device} (cart {cart}) has never sent a heartbeat",
+    wentStale: "⚠ Device {device} stopped reporting",
+    manyStale_one: "⚠ {count} device stopped reporting",
+    manyStale_other: "⚠ {count} devices stopped reporting",
+    columns: {
+      status: "STATUS",
+      device: "DEVICE",
+      cart: "CART",
+      lastSeen: "LAST SEEN",
+      lastScan: "LAST SCAN",
+      firmware: "FIRMWARE",
+      signal: "SIGNAL (dBm)",
+      battery: "BATTERY",
+    },
+  },
+  kiosk: {
+    open: "DISPLAY",
+    openHint: "Open the customer display for this cart",
+    welcome: "Welcome!",
+    scanToStart: "Scan any item to start",
+    code: "code {code}",
+    added: "ADDED",
+    removed: "REMOVED",
+    cleared: "Cart cleared – thank you!",
+    sayAdded: "{product} added, {price}",
+    sayRemoved: "{product} removed",
+    saved: "You save {amount}",
+    voiceOn: "Turn announcements on",
+    voiceOff: "Turn announcements off",
+    tapForVoice: "Tap the screen once to enable voice announcements",
+  },
+  returns: {
+    lookupTitle: "Receipt Lookup",
+    receiptId: "Receipt ID",
+    lookUp: "LOOK UP",
+    requireScan: "REQUIRE TAG RESCAN TO CONFIRM RETURNED ITEMS",
+    scanPlaceholder: "Scan returned tag",
+    scan: "SCAN",
+    notOnReceipt: "{tag} is not on this receipt",
+    allScanned: "All of {name} already scanned or returned",
+    confirmed: "{name} confirmed",
+    allReturned: "Every item on this receipt has already been returned.",
+    all: "ALL",
+    refundVia: "REFUND VIA",
+    refund: "REFUND",
+    scanFirst: "Scan every returned item first",
+    alreadyReturned: "Already returned",
+    failed: "Return failed",
+    issue: "ISSUE CREDIT NOTE",
+    columns: {
+      product: "PRODUCT",
+      bought: "BOUGHT",
+      returned: "RETURNED",
+      scanned: "SCANNED",
+      return: "RETURN",
+      refund: "REFUND",
+    },
+  },
+  settings: {
+    title: "Device Settings",
+    overrideNote: "Values marked “from URL” come from this page's address and are not saved. Saving a new value replaces the URL one.",
+    fromUrl: "FROM URL",
+    apiUrl: "BACKEND URL",
+    sameOrigin: "Same address as this app",
+    invalidUrl: "Enter an http:// or https:// address, or leave empty",
+    test: "TEST CONNECTION",
+    testing: "TESTING…",
+    reachable: "Backend reachable ({ms} ms)",
+    unreachable: "No Smart Cart backend answered at this address",
+    cartId: "CART ID OPENED ON START",
+    noCart: "None – start on the cart list",
+    pollInterval: "POLL INTERVAL (S)",
+    toastDuration: "TOAST DURATION (S)",
+    theme: "THEME",
+    themes: {
+      dark: "Dark",
+      light: "Light",
+      contrast: "High contrast",
+    },
+    save: "SAVE",
+    saved: "Saved",
+    reset: "RESET TO DEFAULTS",
+    confirmReset: "Reset all device settings to their defaults?",
+  },
+};
@@ -0,0 +1,539 @@
+// ─── HINDI ───
+// Product names, tag IDs, GSTIN and the like stay as entered; only UI text is
+// translated. Anything missing here is shown in English.
+export default {
+  app: {
+    footer: "स्मार्ट कार्ट v1.0 · ESP32 + React + Express · एम्बेडेड सिस्टम्स प्रोजेक्ट",
+  },
+  header: {
+    brand: "स्मार्ट कार्ट",
+    tagline: "IoT शॉपिंग डैशबोर्ड",
+    language: "भाषा",
+    currency: "स्टोर मुद्रा",
+  },
+  nav: {
+    carts: "कार्ट",
+    catalog: "कैटलॉग",
+    history: "इतिहास",
+    returns: "वापसी",
+    analytics: "विश्लेषण",
+    fleet: "डिवाइस",
+    settings: "सेटिंग्स",
+  },
+  status: {
+    online: "ऑनलाइन",
+    offline: "ऑफ़लाइन",
+    connecting: "कनेक्ट हो रहा है",
+    live: "ऑनलाइन · लाइव",
+    polling: "ऑनलाइन · पोलिंग",
+    syncing: "सिंक हो रहा है",
+    queued_one: "{count} कतार में",
+    queued_other: "{count} कतार में",
+  },
+  common: {
+    cancel: "रद्द करें",
+    done: "हो गया",
+    save: "सहेजें",
+    edit: "बदलें",
+    delete: "हटाएँ",
+    loading: "लोड हो रहा है…",
+    refresh: "रीफ़्रेश",
+  },
+  picker: {
+    switch: "कार्ट बदलें",
+    option: "कार्ट · {id}",
+    title: "कार्ट चुनें",
+    placeholder: "कार्ट ID (जैसे cart-02)",
+    open: "खोलें",
+  },
+  dashboard: {
+    locked: "भुगतान बाकी रहने तक कार्ट लॉक है",
+    queued: "{op} कतार में",
+    quantityFailed: "मात्रा नहीं बदली जा सकी",
+    removeFailed: "आइटम नहीं हटाया जा सका",
+    cleared: "कार्ट खाली किया गया",
+    clearFailed: "कार्ट खाली नहीं हो सका",
+    checkoutFailed: "चेकआउट विफल",
+  },
+  scan: {
+    added: "{product} जोड़ा गया",
+    removed: "{product} हटाया गया",
+    unknownTag: "अज्ञात टैग – नीचे दर्ज करें",
+    unknownTagNoEnroll: "अज्ञात टैग {tag} – इसे दर्ज करने के लिए स्टोर एडमिन से कहें",
+    failed: "स्कैन विफल",
+  },
+  scanner: {
+    title: "RFID स्कैनर (सिम्युलेटर)",
+    exitEnroll: "दर्ज करना बंद करें",
+    enrollMode: "दर्ज मोड",
+    enrollPlaceholder: "दर्ज करने के लिए टैग स्कैन करें",
+    placeholder: "टैग ID डालें (जैसे A1B2C3D4)",
+    add: "जोड़ें",
+    scan: "स्कैन",
+    quickScan: "क्विक स्कैन (सिम्युलेट करने के लिए टैप करें):",
+  },
+  inventory: {
+    onShelf: "शेल्फ़ पर {count}",
+    out: "स्टॉक खत्म",
+    low: "कम · {count} बचे",
+    left: "{count} बचे",
+    scannedOut: "इन्वेंटरी के अनुसार {product} स्टॉक में नहीं है — शेल्फ़ की गिनती जाँचें",
+    syncFailed: "स्टॉक स्तर अपडेट नहीं हो सके",
+    reportTitle: "कम स्टॉक ({count})",
+    exportCsv: "CSV निर्यात",
+    allStocked: "सभी उत्पाद पुनः ऑर्डर स्तर से ऊपर हैं",
+    untracked: "ट्रैक नहीं",
+    receive: "प्राप्त करें",
+    restocked_one: "{name} की {count} इकाई प्राप्त हुई",
+    restocked_other: "{name} की {count} इकाइयाँ प्राप्त हुईं",
+    restockFailed: "रीस्टॉक विफल",
+    columns: {
+      stock: "स्टॉक",
+      reorderLevel: "पुनः ऑर्डर स्तर",
+      stockReorder: "स्टॉक / पुनः ऑर्डर स्तर",
+      receive: "प्राप्त करें",
+    },
+  },
+  auth: {
+    prompt: "जारी रखने के लिए साइन इन करें",
+    username: "उपयोगकर्ता नाम",
+    password: "पासवर्ड",
+    signIn: "साइन इन",
+    signingIn: "साइन इन हो रहा है…",
+    signOut: "साइन आउट",
+    invalid: "गलत उपयोगकर्ता नाम या पासवर्ड",
+    offline: "सर्वर से संपर्क नहीं हो पा रहा",
+    failed: "साइन इन विफल, फिर से प्रयास करें",
+    expiredTitle: "सत्र समाप्त",
+    expired: "आपका सत्र समाप्त हो गया है। जहाँ छोड़ा था वहीं से जारी रखने के लिए फिर से साइन इन करें।",
+    switchUser: "किसी और के रूप में साइन इन करें",
+    connectionSettings: "कनेक्शन सेटिंग्स",
+    noAccess: "आपकी भूमिका ({role}) यह पेज नहीं खोल सकती।",
+    roles: {
+      display: "ग्राहक डिस्प्ले",
+      cashier: "कैशियर",
+      admin: "स्टोर एडमिन",
+    },
+  },
+  reader: {
+    on: "USB रीडर चालू",
+    off: "USB रीडर बंद",
+    hint: "कहीं भी स्कैन करें — बॉक्स पर क्लिक करने की ज़रूरत नहीं",
+    last: "आखिरी रीड: {code}",
+    settings: "रीडर सेटिंग्स",
+    prefix: "प्रीफ़िक्स",
+    suffix: "समापन कुंजी",
+    none: "कोई नहीं",
+    pause: "(विराम)",
+    maxGap: "अधिकतम कुंजी अंतराल (ms)",
+    minLength: "न्यूनतम लंबाई",
+    pattern: "RFID टैग प्रारूप (regex)",
+    patternHint: "EAN-8, UPC-A और EAN-13 बारकोड हमेशा स्वीकार किए जाते हैं",
+    patternInvalid: "मान्य रेगुलर एक्सप्रेशन नहीं है",
+    defaults: "डिफ़ॉल्ट",
+    rejected: "अपरिचित कोड {code} अनदेखा किया गया",
+  },
+  enroll: {
+    alreadyEnrolled: "{tag} पहले से {name} के रूप में दर्ज है",
+    enrolled_one: "{count} टैग {name} के रूप में दर्ज हुआ",
+    enrolled_other: "{count} टैग {name} के रूप में दर्ज हुए",
+    failed: "दर्ज नहीं हो सका",
+    bulkTitle: "बल्क एनरोल – टैग एक-एक करके स्कैन करें",
+    unknownTitle: "अज्ञात टैग – दर्ज करें?",
+    noTags: "अभी कोई टैग स्कैन नहीं हुआ",
+    dropTag: "टैग हटाएँ",
+    existing: "मौजूदा उत्पाद",
+    new: "नया उत्पाद",
+    product: "उत्पाद",
+    name: "नाम",
+    category: "श्रेणी",
+    price: "मूल्य ({currency})",
+    saving: "दर्ज हो रहा है…",
+    submit_one: "{count} टैग दर्ज करें",
+    submit_other: "{count} टैग दर्ज करें",
+  },
+  coupon: {
+    alreadyApplied: "{code} पहले से लागू है",
+    unknown: "अज्ञात कूपन {code}",
+    applied: "{code} लागू हुआ",
+    rejected: "कूपन {code} स्वीकार नहीं हुआ",
+    removeFailed: "कूपन नहीं हटाया जा सका",
+    placeholder: "कूपन कोड",
+    apply: "लागू करें",
+    remove: "कूपन हटाएँ",
+    discount: "छूट",
+    mismatch: "सर्वर का मूल्य स्थानीय ऑफ़र से अलग है – सर्वर का कुल लिया जाएगा",
+  },
+  timeline: {
+    title: "स्कैन टाइमलाइन ({count})",
+    nothingToUndo: "कार्ट तब से बदल गया – पूर्ववत करने को कुछ नहीं",
+    undid: "पूर्ववत: {action}",
+    undoFailed: "पूर्ववत नहीं हो सका",
+    lines_one: "{count} पंक्ति",
+    lines_other: "{count} पंक्तियाँ",
+    qty: "मात्रा {from} → {to}",
+    undone: "पूर्ववत",
+    undoHint: "यह बदलाव वापस लें",
+    undo: "पूर्ववत करें",
+    sources: {
+      simulator: "सिम्युलेटर",
+      quick: "क्विक स्कैन",
+      reader: "USB रीडर",
+      esp32: "ESP32",
+      operator: "ऑपरेटर",
+      replay: "ऑफ़लाइन रीप्ले",
+      undo: "पूर्ववत",
+    },
+    actions: {
+      added: "जोड़ा गया",
+      removed: "हटाया गया",
+      cleared: "खाली किया गया",
+      checkedOut: "चेकआउट हुआ",
+    },
+  },
+  conflicts: {
+    title: "सिंक टकराव ({count})",
+    dismiss: "बंद करें",
+  },
+  stats: {
+    items: "आइटम",
+    total: "कुल",
+  },
+  cart: {
+    title: "कार्ट ({count})",
+    clear: "खाली करें",
+    empty: "कार्ट खाली है",
+    emptyHint: "आइटम जोड़ने के लिए RFID टैग स्कैन करें",
+    askCashier: "कैशियर इस कार्ट का चेकआउट करेंगे",
+    decrease: "घटाएँ",
+    increase: "बढ़ाएँ",
+    remove: "कार्ट से हटाएँ",
+    promotion: "ऑफ़र",
+    queuedAt: "{time} पर कतार में",
+    pending: "लंबित",
+    items_one: "{count} आइटम",
+    items_other: "{count} आइटम",
+    checkout: "चेकआउट",
+  },
+  ops: {
+    scan: "{name} स्कैन करें",
+    quantity: "{name} की मात्रा {qty} करें",
+    remove: "{name} हटाएँ",
+    clear: "कार्ट खाली करें",
+    checkout: "चेकआउट",
+    coupon: "कूपन {code} लागू करें",
+    uncoupon: "कूपन {code} हटाएँ",
+    drifted: "ऑफ़लाइन रहते हुए सर्वर पर कार्ट बदल गया",
+    notReplayed: "{op} दोबारा नहीं चलाया गया – ऑफ़लाइन रहते हुए कार्ट बदल गया",
+    rejected: "{op} अस्वीकृत – {error}",
+  },
+  errors: {
+    network: "सर्वर से संपर्क नहीं हो पा रहा – कनेक्शन जाँचें",
+    timeout: "सर्वर ने समय पर जवाब नहीं दिया – फिर से कोशिश करें",
+    request: "अनुरोध विफल रहा",
+  },
+  palette: {
+    placeholder: "उत्पाद या टैग ID खोजें  (↑↓ से चुनें, Enter से स्कैन)",
+    all: "सभी",
+    noMatches: "कोई उत्पाद नहीं मिला",
+    recent: "हाल ही में स्कैन किया",
+  },
+  payment: {
+    qrLabel: "भुगतान QR कोड",
+    methods: {
+      cash: "नकद",
+      upi: "UPI",
+    },
+    title: "भुगतान",
+    locked: "कार्ट लॉक",
+    total: "कुल {amount}",
+    due: "बकाया {amount}",
+    tenderedChange: "दिए {tendered}, वापसी {change}",
+    remove: "भुगतान हटाएँ",
+    overpaid: "भुगतान के दौरान कार्ट का कुल घट गया – भुगतान {amount} ज़्यादा है। जारी रखने के लिए एक भुगतान हटाएँ।",
+    tendered: "दी गई राशि ({currency})",
+    add: "जोड़ें",
+    changeDue: "वापसी {amount}",
+    upiAmount: "UPI राशि ({currency})",
+    noVpa: "कोई UPI ID सेट नहीं है – UPI लेने के लिए VITE_UPI_VPA सेट करें।",
+    scanUpi: "किसी भी UPI ऐप से स्कैन करें · {vpa} · संदर्भ {reference}",
+    received: "{amount} प्राप्त",
+    upiLimit: "{amount} तक की राशि डालें",
+    completing: "पूरा हो रहा है…",
+    complete: "चेकआउट पूरा करें",
+  },
+  receipt: {
+    title: "रसीद",
+    complete: "चेकआउट पूरा हुआ",
+    creditNote: "क्रेडिट नोट",
+    print: "प्रिंट",
+    text: "टेक्स्ट",
+    against: "{id} के बदले",
+    subtotal: "उप-योग",
+    total: "कुल",
+    refund: "रिफ़ंड",
+    paid: "भुगतान",
+    refunded: "रिफ़ंड किया",
+    cashTendered: "दिया गया नकद {amount}",
+    change: "वापसी {amount}",
+    paperWidth: "थर्मल पेपर की चौड़ाई",
+    storeDetails: "रसीद पर छपने वाली स्टोर जानकारी",
+  },
+  profile: {
+    name: "स्टोर का नाम",
+    address: "पता",
+    gstin: "GSTIN",
+    footer: "फ़ुटर टेक्स्ट",
+  },
+  tax: {
+    title: "GST",
+    taxable: "कर योग्य मूल्य",
+    cgst: "CGST {rate}%",
+    sgst: "SGST {rate}%",
+    igst: "IGST {rate}%",
+    rounding: "राउंडिंग",
+    inclusive: "मूल्यों में GST शामिल है",
+    exclusive: "मूल्यों में GST शामिल नहीं है",
+    storeDefault: "स्टोर डिफ़ॉल्ट",
+    saveFailed: "टैक्स सेटिंग्स सहेजी नहीं जा सकीं",
+    defaultSlab: "डिफ़ॉल्ट स्लैब",
+    pricesInclude: "मूल्यों में GST शामिल",
+    interState: "अंतर-राज्यीय (IGST)",
+  },
+  catalog: {
+    title: "उत्पाद कैटलॉग ({count})",
+    search: "नाम, टैग, श्रेणी, बारकोड खोजें",
+    add: "उत्पाद जोड़ें",
+    import: "इम्पोर्ट",
+    exportCsv: "CSV एक्सपोर्ट",
+    exportJson: "JSON एक्सपोर्ट",
+    categoryRate: "श्रेणी",
+    loadFailed: "कैटलॉग लोड नहीं हो सका",
+    saved: "{name} सहेजा गया",
+    saveFailed: "सहेजा नहीं जा सका",
+    confirmDelete: "{name} ({tag}) हटाएँ?",
+    deleted: "{name} हटाया गया",
+    deleteFailed: "हटाया नहीं जा सका",
+    readFailed: "यह फ़ाइल पढ़ी नहीं जा सकी",
+    imported_one: "{count} उत्पाद इम्पोर्ट हुआ",
+    imported_other: "{count} उत्पाद इम्पोर्ट हुए",
+    importFailed: "इम्पोर्ट विफल",
+    importReady_one: "{count} मान्य उत्पाद इम्पोर्ट के लिए तैयार",
+    importReady_other: "{count} मान्य उत्पाद इम्पोर्ट के लिए तैयार",
+    rejected: "{count} अस्वीकृत",
+    moreErrors: "…और {count}",
+    merge: "कैटलॉग में मिलाएँ",
+    confirmReplace: "पूरे कैटलॉग को इस फ़ाइल से बदलें?",
+    replace: "कैटलॉग बदलें",
+    noMatches: "खोज से कोई उत्पाद मेल नहीं खाता",
+    empty: "कैटलॉग खाली है",
+    placeholders: {
+      tag: "टैग ID",
+      name: "नाम",
+      category: "सामान्य",
+      price: "0",
+      barcode: "EAN / UPC",
+    },
+    columns: {
+      tag: "टैग ID",
+      name: "नाम",
+      category: "श्रेणी",
+      price: "मूल्य",
+      gst: "GST",
+      barcode: "बारकोड",
+    },
+    errors: {
+      tagRequired: "टैग ID ज़रूरी है",
+      tagUsed: "टैग पहले से {name} के लिए इस्तेमाल हो रहा है",
+      nameRequired: "नाम ज़रूरी है",
+      price: "मूल्य 0 से ज़्यादा होना चाहिए",
+      gstRate: "GST दर इनमें से एक होनी चाहिए: {slabs}",
+      barcode: "मान्य EAN-8, UPC-A या EAN-13 बारकोड नहीं है",
+      barcodeUsed: "बारकोड पहले से {name} के लिए उपयोग में है",
+      duplicateBarcode: "दोहराया गया बारकोड {barcode}",
+      count: "0 या उससे अधिक पूर्ण संख्या होनी चाहिए",
+      duplicate: "दोहराया गया टैग {tag}",
+      row: "पंक्ति {row}: {problems}",
+    },
+  },
+  history: {
+    title: "ऑर्डर इतिहास ({count})",
+    titleFiltered: "ऑर्डर इतिहास ({count} में से {shown})",
+    offline: "ऑफ़लाइन · सहेजी गई रसीदें",
+    notFound: "रसीद {id} नहीं मिली",
+    receiptId: "रसीद ID",
+    searchHint: "खोजें या Enter दबाकर ढूँढें",
+    cart: "कार्ट",
+    allCarts: "सभी कार्ट",
+    from: "से",
+    to: "तक",
+    minTotal: "न्यूनतम कुल ({currency})",
+    maxTotal: "अधिकतम कुल ({currency})",
+    product: "उत्पाद",
+    productHint: "नाम या टैग ID",
+    resetFilters: "फ़िल्टर हटाएँ",
+    open: "खोलें",
+    return: "वापसी",
+    returned: "वापस किया",
+    empty: "अभी कोई चेकआउट नहीं",
+    noMatches: "इन फ़िल्टर से कोई रसीद मेल नहीं खाती",
+    columns: {
+      date: "तारीख",
+      receipt: "रसीद",
+      cart: "कार्ट",
+      items: "आइटम",
+      total: "कुल",
+    },
+  },
+  list: {
+    title: "खरीदारी सूची ({done}/{count})",
+    paste: "पेस्ट",
+    import: "इम्पोर्ट",
+    clear: "खाली करें",
+    confirmClear: "पूरी खरीदारी सूची खाली करें?",
+    pastePlaceholder: "हर पंक्ति में एक आइटम, जैसे\n2 x दूध\nब्रेड\nअंडे x12",
+    addAll: "सभी जोड़ें",
+    placeholder: "आइटम जोड़ें (जैसे 2 x Milk)",
+    add: "जोड़ें",
+    empty: "अभी कोई सूची नहीं – लिखें, पेस्ट करें या इम्पोर्ट करें",
+    noMatch: "कैटलॉग में नहीं – उत्पाद चुनें…",
+    remove: "सूची से हटाएँ",
+    readFailed: "यह सूची पढ़ी नहीं जा सकी",
+    unlisted: "सूची में नहीं",
+    checkoutWarning_one: "सूची का {count} आइटम अभी कार्ट में नहीं है: {items}\n\nफिर भी चेकआउट करें?",
+    checkoutWarning_other: "सूची के {count} आइटम अभी कार्ट में नहीं हैं: {items}\n\nफिर भी चेकआउट करें?",
+  },
+  budget: {
+    title: "बजट",
+    amount: "बजट ({currency})",
+    thresholds: "अलर्ट (बजट का %)",
+    remove: "हटाएँ",
+    spent: "{amount} में से {total}",
+    left: "{amount} बाकी",
+    over: "{amount} ज़्यादा",
+    threshold: "आपके बजट का {pct}% खर्च हुआ – {amount} में से {total}",
+    reached: "बजट पूरा हुआ – {amount} में से {total}",
+    pushedOver: "{product} ({price}) से कार्ट बजट से {amount} ऊपर चला गया",
+  },
+  analytics: {
+    title: "स्टोर विश्लेषण",
+    presets: { "7d": "7 दिन", "30d": "30 दिन", "90d": "90 दिन", all: "सभी" },
+    export: "CSV निर्यात",
+    revenue: "राजस्व",
+    orders: "ऑर्डर",
+    avgOrder: "औसत ऑर्डर मूल्य",
+    avgBasket: "औसत बास्केट (इकाइयाँ)",
+    refunds: "रिफंड",
+    removalRate: "जोड़कर हटाए गए",
+    revenueOverTime: "समय के साथ राजस्व",
+    basketSizes: "बास्केट आकार के अनुसार ऑर्डर",
+    topProducts: "शीर्ष उत्पाद",
+    topCategories: "शीर्ष श्रेणियाँ",
+    mostRemoved: "सबसे ज़्यादा वापस रखे गए",
+    units_one: "{count} इकाई",
+    units_other: "{count} इकाइयाँ",
+    removedOf: "{added} में से {removed}",
+    noOrders: "इस अवधि में कोई चेकआउट नहीं",
+    noScans: "इस अवधि में कोई स्कैन नहीं",
+    localScans: "स्कैन लॉग उपलब्ध नहीं — केवल इस ब्राउज़र टैब में देखे गए स्कैन दिखाए जा रहे हैं।",
+  },
+  fleet: {
+    title_one: "{count} कार्ट डिवाइस",
+    title_other: "{count} कार्ट डिवाइस",
+    summary: "{online} ऑनलाइन · {stale} निष्क्रिय · {seconds} सेकंड बाद निष्क्रिय",
+    unreachable: "डिवाइस स्थिति उपलब्ध नहीं",
+    empty: "अभी तक किसी डिवाइस ने रिपोर्ट नहीं किया",
+    online: "ऑनलाइन",
+    stale: "निष्क्रिय",
+    never: "कभी नहीं",
+    unassigned: "असाइन नहीं",
+    mains: "बिजली",
+    openCart: "कार्ट खोलें",
+    alerts_one: "{count} निष्क्रिय डिवाइस",
+    alerts_other: "{count} निष्क्रिय डिवाइस",
+    staleSince: "{device} (कार्ट {cart}) की आखिरी हार्टबीट {ago}",
+    neverSeen: "{device} (कार्ट {cart}) ने कभी हार्टबीट नहीं भेजी",
+    wentStale: "⚠ डिवाइस {device} ने रिपोर्ट करना बंद कर दिया",
+    manyStale_one: "⚠ {count} डिवाइस ने रिपोर्ट करना बंद कर दिया",
+    manyStale_other: "⚠ {count} डिवाइसों ने रिपोर्ट करना बंद कर दिया",
+    columns: {
+      status: "स्थिति",
+      device: "डिवाइस",
+      cart: "कार्ट",
+      lastSeen: "आखिरी बार देखा",
+      lastScan: "आखिरी स्कैन",
+      firmware: "फ़र्मवेयर",
+      signal: "सिग्नल (dBm)",
+      battery: "बैटरी",
+    },
+  },
+  kiosk: {
+    open: "डिस्प्ले",
+    openHint: "इस कार्ट का ग्राहक डिस्प्ले खोलें",
+    welcome: "स्वागत है!",
+    scanToStart: "शुरू करने के लिए कोई भी आइटम स्कैन करें",
+    code: "कोड {code}",
+    added: "जोड़ा गया",
+    removed: "हटाया गया",
+    cleared: "कार्ट खाली – धन्यवाद!",
+    sayAdded: "{product} जोड़ा गया, {price}",
+    sayRemoved: "{product} हटाया गया",
+    saved: "आपकी बचत {amount}",
+    voiceOn: "घोषणाएँ चालू करें",
+    voiceOff: "घोषणाएँ बंद करें",
+    tapForVoice: "आवाज़ वाली घोषणाओं के लिए स्क्रीन पर एक बार टैप करें",
+  },
+  returns: {
+    lookupTitle: "रसीद खोजें",
+    receiptId: "रसीद ID",
+    lookUp: "खोजें",
+    requireScan: "वापस आए आइटम की पुष्टि के लिए टैग दोबारा स्कैन करना ज़रूरी",
+    scanPlaceholder: "वापस आया टैग स्कैन करें",
+    scan: "स्कैन",
+    notOnReceipt: "{tag} इस रसीद पर नहीं है",
+    allScanned: "सभी {name} पहले ही स्कैन या वापस हो चुके हैं",
+    confirmed: "{name} की पुष्टि हुई",
+    allReturned: "इस रसीद का हर आइटम पहले ही वापस हो चुका है।",
+    all: "सभी",
+    refundVia: "रिफ़ंड का तरीका",
+    refund: "रिफ़ंड",
+    scanFirst: "पहले हर वापस आया आइटम स्कैन करें",
+    alreadyReturned: "पहले ही वापस हो चुका है",
+    failed: "वापसी नहीं हो सकी",
+    issue: "क्रेडिट नोट जारी करें",
+    columns: {
+      product: "उत्पाद",
+      bought: "खरीदा",
+      returned: "वापस किया",
+      scanned: "स्कैन किया",
+      return: "वापसी",
+      refund: "रिफ़ंड",
+    },
+  },
+  settings: {
+    title: "डिवाइस सेटिंग्स",
+    overrideNote: "“URL से” चिह्नित मान इस पेज के पते से आए हैं और सहेजे नहीं गए हैं। नया मान सहेजने पर URL वाला मान बदल जाएगा।",
+    fromUrl: "URL से",
+    apiUrl: "बैकएंड URL",
+    sameOrigin: "इसी ऐप का पता",
+    invalidUrl: "http:// या https:// पता दर्ज करें, या खाली छोड़ें",
+    test: "कनेक्शन जाँचें",
+    testing: "जाँच हो रही है…",
+    reachable: "बैकएंड उपलब्ध है ({ms} ms)",
+    unreachable: "इस पते पर कोई स्मार्ट कार्ट बैकएंड नहीं मिला",
+    cartId: "शुरू में खुलने वाला कार्ट ID",
+    noCart: "कोई नहीं – कार्ट सूची से शुरू करें",
+    pollInterval: "पोल अंतराल (से.)",
+    toastDuration: "सूचना अवधि (से.)",
+    theme: "थीम",
+    themes: {
+      dark: "डार्क",
+      light: "लाइट",
+      contrast: "हाई कॉन्ट्रास्ट",
+    },
+    save: "सहेजें",
+    saved: "सहेजा गया",
+    reset: "डिफ़ॉल्ट पर लौटाएँ",
+    confirmReset: "सभी डिवाइस सेटिंग्स डिफ़ॉल्ट पर लौटाएँ?",
+  },
+};
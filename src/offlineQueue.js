@@ -0,0 +1,143 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import {
+  fetchCart, scanProduct, setItemQuantity, removeItem, clearCart, checkoutCart, applyCoupon, removeCoupon,
+} from "./api.js";
+import { NetworkError, newIdempotencyKey, describeError } from "./apiClient.js";
+import { idbAdd, idbDelete, idbGetAll } from "./idb.js";
+import { itemQty } from "./cartModel.js";
+import { t } from "./i18n.js";
+
+// ─── OFFLINE QUEUE ───
+// Cart operations made while the backend is unreachable are stored in
+// IndexedDB and replayed in order once it answers again. Each op remembers
+// the cart it was made against; if the server cart moved on in the meantime
+// (e.g. an ESP32 scan landed), additive ops still replay but clear/checkout
+// are held back and reported, since they were decided on stale contents.
+const STORE = "pendingOps";
+const DESTRUCTIVE = new Set(["clear", "checkout"]);
+// Ops the backend deduplicates by Idempotency-Key
+const KEYED = new Set(["scan", "checkout"]);
+
+// No answer from the server (down, unreachable or timed out)
+export function isNetworkError(err) {
+  return err instanceof NetworkError;
+}
+
+// Give a scan or checkout its idempotency key once, before it is first
+// sent, so the queued copy and every replay reuse it
+export function keyOp(op) {
+  return KEYED.has(op.type) && !op.key ? { ...op, key: newIdempotencyKey() } : op;
+}
+
+export function cartSignature(cart) {
+  return cart.items
+    .map((item) => `${item.tag_id}:${itemQty(item)}`)
+    .sort()
+    .join(",");
+}
+
+export function sendOp(cartId, op) {
+  switch (op.type) {
+    case "scan": return scanProduct(cartId, op.tagId, op.key);
+    case "quantity": return setItemQuantity(cartId, op.tagId, op.qty);
+    case "remove": return removeItem(cartId, op.tagId);
+    case "clear": return clearCart(cartId);
+    // Checkouts queued by an older version only carry a total
+    case "checkout": return checkoutCart(cartId, op.payments, op.charge || { total: op.total }, op.key);
+    case "coupon": return applyCoupon(cartId, op.code);
+    case "uncoupon": return removeCoupon(cartId, op.code);
+    default: return Promise.reject(new Error(`Unknown op ${op.type}`));
+  }
+}
+
+export function describeOp(op, products = {}) {
+  const name = op.tagId && (products[op.tagId]?.name || op.tagId);
+  switch (op.type) {
+    case "scan":
+    case "quantity":
+    case "remove":
+    case "clear":
+    case "checkout":
+    case "coupon":
+    case "uncoupon":
+      return t(`ops.${op.type}`, { name, qty: op.qty, code: op.code });
+    default: return op.type;
+  }
+}
+
+export function useOfflineQueue(cartId, { online, onReplayed, onConflict }) {
+  const [pending, setPending] = useState([]);
+  const [replaying, setReplaying] = useState(false);
+  const busy = useRef(false);
+  const handlers = useRef({ onReplayed, onConflict });
+  handlers.current = { onReplayed, onConflict };
+
+  const refresh = useCallback(async () => {
+    try {
+      setPending(await idbGetAll(STORE, "cartId", cartId));
+    } catch {
+      setPending([]);
+    }
+  }, [cartId]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const enqueue = useCallback(async (op, baseCart) => {
+    await idbAdd(STORE, {
+      ...op,
+      cartId,
+      base: cartSignature(baseCart),
+      queuedAt: Date.now(),
+    });
+    await refresh();
+  }, [cartId, refresh]);
+
+  const replay = useCallback(async () => {
+    if (busy.current) return;
+    busy.current = true;
+    setReplaying(true);
+    try {
+      const ops = await idbGetAll(STORE, "cartId", cartId);
+      if (ops.length === 0) return;
+      const server = (await fetchCart(cartId)).cart;
+      const drifted = cartSignature(server) !== ops[0].base;
+      if (drifted) {
+        handlers.current.onConflict({
+          op: null,
+          message: t("ops.drifted"),
+        });
+      }
+      for (const op of ops) {
+        if (drifted && DESTRUCTIVE.has(op.type)) {
+          handlers.current.onConflict({
+            op,
+            message: t("ops.notReplayed", { op: describeOp(op) }),
+          });
+          await idbDelete(STORE, op.seq);
+          continue;
+        }
+        try {
+          const data = await sendOp(cartId, op);
+          handlers.current.onReplayed(op, data);
+        } catch (err) {
+          // Backend went away again: keep this op and the rest for later
+          if (isNetworkError(err)) return;
+          handlers.current.onConflict({ op, message: t("ops.rejected", { op: describeOp(op), error: describeError(err, "errors.request") }) });
+        }
+        await idbDelete(STORE, op.seq);
+      }
+    } catch {
+      // fetchCart failed; stay queued until the next reconnect
+    } finally {
+      busy.current = false;
+      setReplaying(false);
+      refresh();
+    }
+  }, [cartId, refresh]);
+
+  useEffect(() => {
+    if (online && pending.length > 0) replay();
+  }, [online, pending.length, replay]);
+
+  return { pending, enqueue, replaying };
+}
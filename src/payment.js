@@ -0,0 +1,68 @@
+import { loadStoreProfile } from "./storeProfile.js";
+import { t } from "./i18n.js";
+
+// ─── PAYMENT ───
+// Amounts are tracked in paise so split payments add up exactly.
+export const UPI_VPA = import.meta.env.VITE_UPI_VPA || "";
+
+// Message keys for each method's label
+export const PAYMENT_METHODS = {
+  cash: "payment.methods.cash",
+  upi: "payment.methods.upi",
+};
+
+export function methodLabel(method) {
+  return PAYMENT_METHODS[method] ? t(PAYMENT_METHODS[method]) : method.toUpperCase();
+}
+
+export function toPaise(rupees) {
+  return Math.round(Number(rupees) * 100);
+}
+
+export function fromPaise(paise) {
+  return paise / 100;
+}
+
+export function amountPaid(payments) {
+  return payments.reduce((sum, p) => sum + toPaise(p.amount), 0);
+}
+
+export function amountDue(total, payments) {
+  return Math.max(0, toPaise(total) - amountPaid(payments));
+}
+
+// Cash tendered beyond what is due becomes change; only the due part counts
+// towards the bill.
+export function cashPayment(tendered, dueInPaise) {
+  const given = toPaise(tendered);
+  const applied = Math.min(given, dueInPaise);
+  return {
+    method: "cash",
+    amount: fromPaise(applied),
+    tendered: fromPaise(given),
+    change: fromPaise(given - applied),
+  };
+}
+
+// NPCI UPI deep link; any UPI app can scan it as a QR code
+export function upiUri({ amount, reference }) {
+  const params = new URLSearchParams({
+    pa: UPI_VPA,
+    pn: loadStoreProfile().name,
+    am: fromPaise(toPaise(amount)).toFixed(2),
+    cu: "INR",
+    tn: `Smart Cart ${reference}`,
+    tr: reference,
+  });
+  return `upi://pay?${params.toString()}`;
+}
+
+// Next round amounts a customer is likely to hand over for `due` rupees
+export function suggestedTenders(due) {
+  const options = new Set([due]);
+  for (const step of [10, 50, 100, 500]) {
+    const rounded = Math.ceil(due / step) * step;
+    if (rounded > due) options.add(rounded);
+  }
+  return [...options].sort((a, b) => a - b).slice(0, 4);
+}
@@ -0,0 +1,119 @@
+import { useState, useEffect } from "react";
+import { fetchPromotions } from "./api.js";
+import { itemQty } from "./cartModel.js";
+import { toPaise, fromPaise } from "./payment.js";
+
+// ─── PROMOTIONS ───
+// Promotion definitions come from /api/promotions and the backend prices the
+// cart with them, returning `subtotal`, `discounts` and `total`. This engine
+// applies the same rules in the same order, in paise, so a cart the backend
+// has not priced yet (older backends, offline) shows the same numbers.
+//
+//   { id, label, type: "coupon", code, percent | amount, minSubtotal? }
+//   { id, label, type: "category", category, percent }
+//   { id, label, type: "buy_x_get_y", tag_id, buy, get }
+//   { id, label, type: "bundle", tags: [tag_id, …], price }
+//
+// Line promotions run bundle → buy X get Y → category, and each unit is only
+// discounted once. Coupons then apply to what is left of the subtotal.
+const CACHE_KEY = "smartcart.promotions";
+const LINE_ORDER = ["bundle", "buy_x_get_y", "category"];
+
+export function findCoupon(promotions, code) {
+  const want = code.trim().toUpperCase();
+  return promotions.find((p) => p.type === "coupon" && p.code.toUpperCase() === want) || null;
+}
+
+export function priceCart(items, promotions = [], coupons = []) {
+  const pool = new Map(items.map((item) => [item.tag_id, { item, left: itemQty(item) }]));
+  const subtotal = items.reduce((sum, item) => sum + toPaise(item.price) * itemQty(item), 0);
+  const discounts = [];
+  const add = (promo, paise) => {
+    if (paise > 0) discounts.push({ id: promo.id, label: promo.label, amount: paise });
+  };
+
+  for (const type of LINE_ORDER) {
+    for (const promo of promotions.filter((p) => p.type === type)) {
+      if (type === "bundle") {
+        const lines = promo.tags.map((tag) => pool.get(tag));
+        if (lines.some((l) => !l)) continue;
+        const sets = Math.min(...lines.map((l) => l.left));
+        const full = lines.reduce((sum, l) => sum + toPaise(l.item.price), 0);
+        const saving = full - toPaise(promo.price);
+        if (sets < 1 || saving <= 0) continue;
+        lines.forEach((l) => { l.left -= sets; });
+        add(promo, saving * sets);
+      } else if (type === "buy_x_get_y") {
+        const line = pool.get(promo.tag_id);
+        if (!line) continue;
+        const groups = Math.floor(line.left / (promo.buy + promo.get));
+        line.left -= groups * (promo.buy + promo.get);
+        add(promo, groups * promo.get * toPaise(line.item.price));
+      } else {
+        let saving = 0;
+        for (const line of pool.values()) {
+          if (line.item.category !== promo.category || line.left === 0) continue;
+          saving += Math.round((toPaise(line.item.price) * line.left * promo.percent) / 100);
+          line.left = 0;
+        }
+        add(promo, saving);
+      }
+    }
+  }
+
+  for (const code of coupons) {
+    const promo = findCoupon(promotions, code);
+    if (!promo || (promo.minSubtotal && subtotal < toPaise(promo.minSubtotal))) continue;
+    const base = subtotal - discounts.reduce((sum, d) => sum + d.amount, 0);
+    add(promo, promo.percent ? Math.round((base * promo.percent) / 100) : Math.min(toPaise(promo.amount), base));
+  }
+
+  const discount = discounts.reduce((sum, d) => sum + d.amount, 0);
+  return {
+    subtotal: fromPaise(subtotal),
+    discounts: discounts.map((d) => ({ ...d, amount: fromPaise(d.amount) })),
+    total: fromPaise(subtotal - discount),
+  };
+}
+
+// The backend's figures win whenever it sent them; `mismatch` flags a cart
+// whose local pricing disagrees, i.e. promotions changed on the server
+export function cartPricing(cart, promotions) {
+  const local = priceCart(cart.items, promotions, cart.coupons);
+  if (!Array.isArray(cart.discounts)) return { ...local, mismatch: false };
+  const server = { subtotal: cart.subtotal ?? local.subtotal, discounts: cart.discounts, total: cart.total };
+  return { ...server, mismatch: toPaise(server.total) !== toPaise(local.total) };
+}
+
+export function totalDiscount(pricing) {
+  return fromPaise(pricing.discounts.reduce((sum, d) => sum + toPaise(d.amount), 0));
+}
+
+export function usePromotions() {
+  const [promotions, setPromotions] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(CACHE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchPromotions({ signal: controller.signal })
+      .then((data) => {
+        setPromotions(data.promotions);
+        try {
+          localStorage.setItem(CACHE_KEY, JSON.stringify(data.promotions));
+        } catch {
+          // cache is best-effort
+        }
+      })
+      .catch(() => {
+        // keep the cached definitions
+      });
+    return () => controller.abort();
+  }, []);
+
+  return promotions;
+}
@@ -0,0 +1,251 @@
+import { itemQty, lineTotal } from "./cartModel.js";
+import { toCsv, csvLine } from "./csv.js";
+import { isCreditNote } from "./returns.js";
+import { taxLines } from "./tax.js";
+import { getLocale, formatMoney, formatAmount } from "./i18n.js";
+
+// ─── RECEIPT FORMATS ───
+// Every export is generated in the browser from the same receipt object and
+// store profile. Text-based formats (thermal, PDF) share one line layout;
+// fonts built into printers and PDF viewers have no ₹ glyph, so those use "Rs"
+// (or the ISO code for other store currencies). Printed text stays English
+// for the same reason; the HTML print view uses the dashboard's formatting.
+// CSV keeps plain unformatted numbers for spreadsheets.
+export const PAPER_WIDTHS = {
+  58: 32, // characters per line on 58mm paper (Font A)
+  80: 48,
+};
+
+export function receiptDate(receipt) {
+  const raw = receipt.timestamp || receipt.createdAt || receipt.date;
+  return raw ? new Date(raw) : new Date();
+}
+
+function money(value) {
+  return Number(value).toFixed(2);
+}
+
+// Digit-grouped for printing, e.g. 1,00,000.00
+function amount(value) {
+  return ascii(formatAmount(value));
+}
+
+function currencyTag() {
+  const { currency } = getLocale();
+  return currency === "INR" ? "Rs" : currency;
+}
+
+function ascii(text) {
+  return String(text)
+    .replace(/₹/g, "Rs")
+    .replace(/[\u00a0\u202f]/g, " ")
+    .replace(/[^\x20-\x7e]/g, "?");
+}
+
+function center(text, width) {
+  const t = text.slice(0, width);
+  return " ".repeat(Math.floor((width - t.length) / 2)) + t;
+}
+
+function columns(left, right, width) {
+  const room = width - right.length - 1;
+  const l = left.length > room ? left.slice(0, room) : left;
+  return l + " ".repeat(width - l.length - right.length) + right;
+}
+
+// Plain-text receipt, `width` characters per line. Lines prefixed with "#"
+// are headings (bold/large on thermal printers) and "=" marks the total line.
+export function receiptLines(receipt, profile, width = PAPER_WIDTHS[80]) {
+  const rule = "-".repeat(width);
+  const lines = [`#${center(ascii(profile.name), width)}`];
+  if (profile.address) lines.push(center(ascii(profile.address), width));
+  if (profile.gstin) lines.push(center(`GSTIN: ${ascii(profile.gstin)}`, width));
+  lines.push(rule);
+  if (isCreditNote(receipt)) {
+    lines.push(`#${center("CREDIT NOTE", width)}`);
+    lines.push(`Credit note: ${ascii(receipt.receiptId)}`.slice(0, width));
+    lines.push(`Against: ${ascii(receipt.originalReceiptId)}`.slice(0, width));
+  } else {
+    lines.push(`Receipt: ${ascii(receipt.receiptId)}`.slice(0, width));
+  }
+  lines.push(ascii(receiptDate(receipt).toLocaleString("en-IN")));
+  lines.push(rule);
+  for (const item of receipt.items) {
+    lines.push(ascii(item.name).slice(0, width));
+    lines.push(columns(`  ${itemQty(item)} x ${amount(item.price)}`, amount(lineTotal(item)), width));
+  }
+  lines.push(rule);
+  if (receipt.discounts?.length > 0) {
+    lines.push(columns("Subtotal", amount(receipt.subtotal), width));
+    for (const d of receipt.discounts) lines.push(columns(ascii(d.label), `-${amount(d.amount)}`, width));
+  }
+  if (receipt.tax) {
+    for (const line of taxLines(receipt.tax)) lines.push(columns(line.label, amount(line.amount), width));
+  }
+  const credit = isCreditNote(receipt);
+  lines.push(`=${columns(`${credit ? "REFUND" : "TOTAL"} ${currencyTag()}`, amount(receipt.total), width)}`);
+  for (const p of receipt.payments || []) {
+    lines.push(columns(`${credit ? "Refunded" : "Paid"} ${p.method.toUpperCase()}`, amount(p.amount), width));
+    if (p.change > 0) {
+      lines.push(columns("  Tendered", amount(p.tendered), width));
+      lines.push(columns("  Change", amount(p.change), width));
+    }
+  }
+  lines.push(rule);
+  if (profile.footer) lines.push(center(ascii(profile.footer), width));
+  return lines;
+}
+
+function plain(line) {
+  return /^[#=]/.test(line) ? line.slice(1) : line;
+}
+
+export function receiptText(receipt, profile, paper = 80) {
+  return receiptLines(receipt, profile, PAPER_WIDTHS[paper]).map(plain).join("\n") + "\n";
+}
+
+// ─── CSV ───
+export function receiptCsv(receipt, profile) {
+  const rows = receipt.items.map((item) => ({
+    receipt_id: receipt.receiptId,
+    store: profile.name,
+    gstin: profile.gstin,
+    tag_id: item.tag_id,
+    name: item.name,
+    category: item.category,
+    qty: itemQty(item),
+    unit_price: money(item.price),
+    line_total: money(lineTotal(item)),
+  }));
+  const cols = ["receipt_id", "store", "gstin", "tag_id", "name", "category", "qty", "unit_price", "line_total"];
+  const csv = toCsv(rows, cols.map((key) => ({ key })));
+  const summary = (receipt.discounts || []).map((d) => csvLine(["", "", "", "", d.label, "", "", "", `-${money(d.amount)}`]));
+  if (receipt.tax) {
+    for (const { label, amount } of taxLines(receipt.tax)) summary.push(csvLine(["", "", "", "", label, "", "", "", money(amount)]));
+  }
+  summary.push(csvLine(["", "", "", "", isCreditNote(receipt) ? "REFUND" : "TOTAL", "", "", "", money(receipt.total)]));
+  if (profile.footer) summary.push(csvLine([profile.footer]));
+  return [csv, ...summary].join("\r\n");
+}
+
+// ─── ESC/POS ───
+const ESC = 0x1b;
+const GS = 0x1d;
+
+export function receiptEscPos(receipt, profile, paper = 80) {
+  const bytes = [ESC, 0x40]; // initialise
+  const text = (s) => { for (const ch of s) bytes.push(ch.charCodeAt(0)); bytes.push(0x0a); };
+  for (const line of receiptLines(receipt, profile, PAPER_WIDTHS[paper])) {
+    if (line.startsWith("#")) {
+      bytes.push(ESC, 0x61, 1, ESC, 0x45, 1, GS, 0x21, 0x11); // centre, bold, double size
+      text(line.slice(1).trim());
+      bytes.push(GS, 0x21, 0x00, ESC, 0x45, 0, ESC, 0x61, 0);
+    } else if (line.startsWith("=")) {
+      bytes.push(ESC, 0x45, 1);
+      text(line.slice(1));
+      bytes.push(ESC, 0x45, 0);
+    } else {
+      text(line);
+    }
+  }
+  bytes.push(ESC, 0x64, 4); // feed 4 lines
+  bytes.push(GS, 0x56, 0x42, 0); // partial cut
+  return new Uint8Array(bytes);
+}
+
+// ─── PDF ───
+// A single-page PDF 1.4 with the built-in Courier font: enough for a receipt
+// and no PDF library needed.
+export function receiptPdf(receipt, profile) {
+  const lines = receiptLines(receipt, profile, PAPER_WIDTHS[80]);
+  const size = 9;
+  const leading = 12;
+  const margin = 24;
+  const width = Math.ceil(PAPER_WIDTHS[80] * size * 0.6) + margin * 2;
+  const height = lines.length * leading + margin * 2;
+
+  const esc = (s) => s.replace(/[\\()]/g, (c) => `\\${c}`);
+  const ops = [`BT /F1 ${size} Tf ${leading} TL ${margin} ${height - margin - size} Td`];
+  for (const line of lines) {
+    const bold = /^[#=]/.test(line);
+    ops.push(`/F${bold ? 2 : 1} ${size} Tf (${esc(plain(line))}) Tj T*`);
+  }
+  ops.push("ET");
+  const stream = ops.join("\n");
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> >>`,
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new Blob([pdf], { type: "application/pdf" });
+}
+
+// ─── PRINT ───
+// Renders an 80mm-wide HTML receipt into a hidden iframe and prints it, so
+// the dashboard's dark theme never reaches the printer.
+function html(text) {
+  return String(text).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+export function receiptHtml(receipt, profile) {
+  const credit = isCreditNote(receipt);
+  const rows = receipt.items.map((item) => `
+    <tr><td colspan="2">${html(item.name)}</td></tr>
+    <tr class="sub"><td>${itemQty(item)} × ${html(formatMoney(item.price))}</td><td class="r">${html(formatMoney(lineTotal(item)))}</td></tr>`).join("");
+  const payments = (receipt.payments || []).map((p) => `
+    <tr class="sub"><td>${credit ? "Refunded" : "Paid"} ${html(p.method.toUpperCase())}</td><td class="r">${html(formatMoney(p.amount))}</td></tr>
+    ${p.change > 0 ? `<tr class="sub"><td>Tendered ${html(formatMoney(p.tendered))}</td><td class="r">Change ${html(formatMoney(p.change))}</td></tr>` : ""}`).join("");
+  const discounts = (receipt.discounts || []).map((d) => `
+    <tr class="sub"><td>${html(d.label)}</td><td class="r">−${html(formatMoney(d.amount))}</td></tr>`).join("");
+  const taxRows = receipt.tax
+    ? `<table>${taxLines(receipt.tax).map(({ label, amount }) => `<tr class="sub"><td>${html(label)}</td><td class="r">${html(formatMoney(amount))}</td></tr>`).join("")}</table><hr>`
+    : "";
+  const subtotal = discounts ? `<table><tr class="sub"><td>Subtotal</td><td class="r">${html(formatMoney(receipt.subtotal))}</td></tr>${discounts}</table><hr>` : "";
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${html(receipt.receiptId)}</title>
+<style>
+  @page { size: 80mm auto; margin: 4mm; }
+  body { font: 12px/1.4 'Courier New', monospace; color: #000; width: 72mm; margin: 0 auto; }
+  h1 { font-size: 16px; text-align: center; margin: 0; }
+  .c { text-align: center; } .r { text-align: right; }
+  table { width: 100%; border-collapse: collapse; }
+  .sub td { padding-bottom: 4px; }
+  hr { border: 0; border-top: 1px dashed #000; margin: 6px 0; }
+  .total td { font-weight: bold; font-size: 14px; padding: 4px 0; }
+</style></head><body>
+  <h1>${html(profile.name)}</h1>
+  ${profile.address ? `<div class="c">${html(profile.address)}</div>` : ""}
+  ${profile.gstin ? `<div class="c">GSTIN: ${html(profile.gstin)}</div>` : ""}
+  <hr>${credit ? `<h1>CREDIT NOTE</h1><div>Credit note: ${html(receipt.receiptId)}</div><div>Against: ${html(receipt.originalReceiptId)}</div>` : `<div>Receipt: ${html(receipt.receiptId)}</div>`}<div>${html(receiptDate(receipt).toLocaleString("en-IN"))}</div><hr>
+  <table>${rows}</table><hr>
+  ${subtotal}${taxRows}
+  <table><tr class="total"><td>${credit ? "REFUND" : "TOTAL"}</td><td class="r">${html(formatMoney(receipt.total))}</td></tr>${payments}</table><hr>
+  ${profile.footer ? `<div class="c">${html(profile.footer)}</div>` : ""}
+</body></html>`;
+}
+
+export function printReceipt(receipt, profile) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;width:0;height:0;border:0;right:0;bottom:0";
+  document.body.appendChild(frame);
+  const doc = frame.contentWindow.document;
+  doc.open();
+  doc.write(receiptHtml(receipt, profile));
+  doc.close();
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+  setTimeout(() => frame.remove(), 1000);
+}
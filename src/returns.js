@@ -0,0 +1,59 @@
+import { itemQty } from "./cartModel.js";
+import { toPaise, fromPaise } from "./payment.js";
+
+// ─── RETURNS ───
+// A receipt records what has already been refunded as `returned`, a map of
+// tag_id → qty. Only the remainder of each line can be returned again, so a
+// product is never refunded twice. The server keeps the authoritative map;
+// the client applies the same rules so the UI never offers more than is left.
+export function returnedQty(receipt, tagId) {
+  return receipt.returned?.[tagId] || 0;
+}
+
+export function returnableQty(receipt, item) {
+  return Math.max(0, itemQty(item) - returnedQty(receipt, item.tag_id));
+}
+
+export function isFullyReturned(receipt) {
+  return receipt.items.every((item) => returnableQty(receipt, item) === 0);
+}
+
+// selection: { [tag_id]: qty } → lines shaped like receipt items
+export function returnLines(receipt, selection) {
+  return receipt.items
+    .map((item) => ({ ...item, qty: Math.min(selection[item.tag_id] || 0, returnableQty(receipt, item)) }))
+    .filter((item) => item.qty > 0);
+}
+
+// Refunds match what was actually paid: each line is scaled by
+// total / subtotal, so a 10% coupon comes off the refund and GST added on
+// top of tax-exclusive prices goes back with it
+export function refundTotal(lines, receipt) {
+  const ratio = receipt?.subtotal > 0 ? receipt.total / receipt.subtotal : 1;
+  return fromPaise(lines.reduce((sum, item) => sum + Math.round(toPaise(item.price) * item.qty * ratio), 0));
+}
+
+export function markReturned(receipt, lines) {
+  const returned = { ...receipt.returned };
+  for (const item of lines) returned[item.tag_id] = (returned[item.tag_id] || 0) + item.qty;
+  return { ...receipt, returned };
+}
+
+// Older backends answer without a credit note; build the same shape locally
+export function creditNoteFor(receipt, lines, method) {
+  const total = refundTotal(lines, receipt);
+  return {
+    receiptId: `CN-${receipt.receiptId}-${Date.now().toString(36).toUpperCase()}`,
+    type: "credit_note",
+    originalReceiptId: receipt.receiptId,
+    cartId: receipt.cartId,
+    timestamp: new Date().toISOString(),
+    items: lines,
+    total,
+    payments: [{ method, amount: total }],
+  };
+}
+
+export function isCreditNote(receipt) {
+  return receipt.type === "credit_note";
+}
@@ -0,0 +1,56 @@
+import { useState, useEffect } from "react";
+
+// ─── ROUTER ───
+// Minimal pushState router. vercel.json rewrites every path to the SPA,
+// so deep links like /cart/:cartId land here and are resolved client-side.
+const NAV_EVENT = "smartcart:navigate";
+
+export function navigate(to, { replace = false } = {}) {
+  if (to === window.location.pathname + window.location.search) return;
+  if (replace) window.history.replaceState(null, "", to);
+  else window.history.pushState(null, "", to);
+  window.dispatchEvent(new Event(NAV_EVENT));
+}
+
+export function usePath() {
+  const [path, setPath] = useState(window.location.pathname);
+  useEffect(() => {
+    const update = () => setPath(window.location.pathname);
+    window.addEventListener("popstate", update);
+    window.addEventListener(NAV_EVENT, update);
+    return () => {
+      window.removeEventListener("popstate", update);
+      window.removeEventListener(NAV_EVENT, update);
+    };
+  }, []);
+  return path;
+}
+
+// matchPath("/cart/:cartId", "/cart/A7") → { cartId: "A7" }, or null
+export function matchPath(pattern, path) {
+  const want = pattern.split("/").filter(Boolean);
+  const got = path.split("/").filter(Boolean);
+  if (want.length !== got.length) return null;
+  const params = {};
+  for (let i = 0; i < want.length; i++) {
+    if (want[i].startsWith(":")) {
+      try {
+        params[want[i].slice(1)] = decodeURIComponent(got[i]);
+      } catch {
+        return null;
+      }
+    } else if (want[i] !== got[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+export function cartPath(cartId) {
+  return `/cart/${encodeURIComponent(cartId)}`;
+}
+
+// Read-only customer display for a cart (kiosk screen mounted on the cart)
+export function displayPath(cartId) {
+  return `/display/${encodeURIComponent(cartId)}`;
+}
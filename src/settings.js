@@ -0,0 +1,174 @@
+import { useState, useEffect } from "react";
+import { can, endSession, getSession } from "./auth.js";
+
+// ─── RUNTIME SETTINGS ───
+// Per-device setup that used to be fixed at build time: which backend to
+// talk to, the cart this device opens on start, how often to poll, how long
+// toasts stay up, and the colour theme. Saved in localStorage; the build's
+// VITE_API_URL is only the default. Only an admin can change them, apart
+// from the backend URL, which can also be set from the sign-in screen. A
+// wrong one would otherwise lock everyone out until a rebuild. Switching
+// backends ends the session so the token (and the next sign-in) never goes
+// to a host it was not issued by.
+//
+// Query parameters override the saved values for as long as the tab is
+// open, without being saved, so a kiosk can be set up with a bookmark:
+// /display/A7?theme=contrast. The backend URL is deliberately not one of
+// them; a crafted link could otherwise send credentials anywhere.
+//
+//   cart   cart ID to open on start
+//   poll   poll interval in seconds
+//   toast  toast duration in seconds
+//   theme  "dark" | "light" | "contrast"
+const SETTINGS_KEY = "smartcart.settings";
+const SETTINGS_EVENT = "smartcart:settings";
+
+export const THEMES = ["dark", "light", "contrast"];
+
+export const DEFAULT_SETTINGS = {
+  apiUrl: import.meta.env.VITE_API_URL || "",
+  cartId: "",
+  pollInterval: 2000,
+  toastDuration: 3000,
+  theme: "dark",
+};
+
+// Allowed range in ms
+export const LIMITS = {
+  pollInterval: [500, 60000],
+  toastDuration: [1000, 30000],
+};
+
+const QUERY_PARAMS = {
+  cart: "cartId",
+  poll: "pollInterval",
+  toast: "toastDuration",
+  theme: "theme",
+};
+
+export function isValidApiUrl(url) {
+  return url === "" || /^https?:\/\/[^\s/]+/i.test(url);
+}
+
+export function normalizeApiUrl(url) {
+  return url.trim().replace(/\/+$/, "");
+}
+
+// Drops anything invalid so a bad saved value or query parameter falls back
+// to the default instead of breaking the app
+function clean(raw) {
+  const valid = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    if (key === "apiUrl" && typeof value === "string" && isValidApiUrl(normalizeApiUrl(value))) {
+      valid.apiUrl = normalizeApiUrl(value);
+    } else if (key === "cartId" && typeof value === "string") {
+      valid.cartId = value.trim();
+    } else if (LIMITS[key] && Number.isFinite(value) && value >= LIMITS[key][0] && value <= LIMITS[key][1]) {
+      valid[key] = value;
+    } else if (key === "theme" && THEMES.includes(value)) {
+      valid.theme = value;
+    }
+  }
+  return valid;
+}
+
+function loadSaved() {
+  try {
+    return clean(JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+  } catch {
+    return {};
+  }
+}
+
+function readQuery() {
+  const params = new URLSearchParams(window.location.search);
+  const raw = {};
+  for (const [param, key] of Object.entries(QUERY_PARAMS)) {
+    if (!params.has(param)) continue;
+    const value = params.get(param);
+    raw[key] = LIMITS[key] ? Number(value) * 1000 : value;
+  }
+  return clean(raw);
+}
+
+let saved = loadSaved();
+let overrides = readQuery();
+let settings = { ...DEFAULT_SETTINGS, ...saved, ...overrides };
+
+function applyTheme() {
+  document.documentElement.dataset.theme = settings.theme;
+}
+
+applyTheme();
+
+function update() {
+  settings = { ...DEFAULT_SETTINGS, ...saved, ...overrides };
+  applyTheme();
+  window.dispatchEvent(new Event(SETTINGS_EVENT));
+}
+
+function persist() {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(saved));
+  } catch {
+    // kept for this tab only
+  }
+}
+
+export function getSettings() {
+  return settings;
+}
+
+// Keys currently coming from the URL rather than the saved settings
+export function overriddenKeys() {
+  return Object.keys(overrides);
+}
+
+function switchingBackend(next) {
+  if (next.apiUrl !== settings.apiUrl) endSession();
+}
+
+// Saving a value also lifts its URL override, so what was typed is what
+// takes effect
+export function saveSettings(changes) {
+  if (!can("settings")) return;
+  apply(changes);
+}
+
+// From the sign-in screen, where there is no session to check
+export function saveBackendUrl(apiUrl) {
+  if (getSession() && !can("settings")) return;
+  apply({ apiUrl });
+}
+
+function apply(changes) {
+  const valid = clean(changes);
+  switchingBackend({ ...settings, ...valid });
+  saved = { ...saved, ...valid };
+  for (const key of Object.keys(valid)) delete overrides[key];
+  persist();
+  update();
+}
+
+export function resetSettings() {
+  if (!can("settings")) return;
+  switchingBackend(DEFAULT_SETTINGS);
+  saved = {};
+  overrides = {};
+  try {
+    localStorage.removeItem(SETTINGS_KEY);
+  } catch {
+    // nothing saved
+  }
+  update();
+}
+
+export function useSettings() {
+  const [current, setCurrent] = useState(settings);
+  useEffect(() => {
+    const onChange = () => setCurrent(settings);
+    window.addEventListener(SETTINGS_EVENT, onChange);
+    return () => window.removeEventListener(SETTINGS_EVENT, onChange);
+  }, []);
+  return current;
+}
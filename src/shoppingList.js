@@ -0,0 +1,114 @@
+import { useState, useEffect } from "react";
+import { itemQty, findLine } from "./cartModel.js";
+import { fuzzyScore } from "./fuzzy.js";
+import { parseCsv } from "./csv.js";
+
+// ─── SHOPPING LIST ───
+// A shopper's list for one cart, kept in localStorage. Each entry keeps the
+// text as written plus the catalog tag it was matched to (null when nothing
+// in the catalog fits), and counts as done once the cart holds `qty` of that
+// tag. Lines can be typed, pasted or imported from a .txt / .csv file.
+//
+//   { id, text, tag_id, qty }
+function storageKey(cartId) {
+  return `smartcart.shoppingList.${cartId}`;
+}
+
+function load(cartId) {
+  try {
+    const list = JSON.parse(localStorage.getItem(storageKey(cartId)));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+export function useShoppingList(cartId) {
+  const [list, setList] = useState(() => load(cartId));
+
+  useEffect(() => {
+    try {
+      if (list.length > 0) localStorage.setItem(storageKey(cartId), JSON.stringify(list));
+      else localStorage.removeItem(storageKey(cartId));
+    } catch {
+      // the list still works for this session
+    }
+  }, [cartId, list]);
+
+  return [list, setList];
+}
+
+// Exact tag, then name substring, then a fuzzy match strong enough that
+// "amul mlk" finds "Amul Milk 500ml" but "tea" does not grab "Toothpaste"
+export function matchProduct(text, products) {
+  const query = text.trim();
+  if (!query) return null;
+  if (products[query]) return query;
+  let best = null;
+  let bestScore = Math.max(query.length * 4, 12);
+  for (const [tag, product] of Object.entries(products)) {
+    const score = fuzzyScore(query, product.name);
+    if (score >= bestScore) {
+      best = tag;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+let nextId = Date.now();
+
+export function makeEntry(text, products, qty = 1) {
+  return { id: nextId++, text: text.trim(), tag_id: matchProduct(text, products), qty };
+}
+
+// "2 x Milk", "2 milk", "Milk x2", "- [ ] Bread" → { text, qty }
+export function parseLine(line) {
+  const text = line.replace(/^\s*(?:[-*•]|\d+[.)]|\[[ x]?\])\s*/i, "").trim();
+  const lead = text.match(/^(\d+)\s*(?:x|×)?\s+(.+)$/i);
+  if (lead) return { text: lead[2].trim(), qty: Number(lead[1]) };
+  const trail = text.match(/^(.+?)\s*(?:x|×)\s*(\d+)$/i);
+  if (trail) return { text: trail[1].trim(), qty: Number(trail[2]) };
+  return { text, qty: 1 };
+}
+
+export function parseListText(text, products) {
+  return text.split(/\r?\n/)
+    .map(parseLine)
+    .filter((line) => line.text && line.qty > 0)
+    .map((line) => makeEntry(line.text, products, line.qty));
+}
+
+// CSV lists need a name or tag_id column; qty is optional
+export function parseListFile(filename, text, products) {
+  if (!/\.csv$/i.test(filename)) return parseListText(text, products);
+  return parseCsv(text)
+    .map((row) => {
+      const tag = String(row.tag_id || "").trim();
+      const qty = Number(row.qty) > 0 ? Math.floor(Number(row.qty)) : 1;
+      if (tag && products[tag]) return { id: nextId++, text: products[tag].name, tag_id: tag, qty };
+      const name = String(row.name || row.item || tag).trim();
+      return name ? makeEntry(name, products, qty) : null;
+    })
+    .filter(Boolean);
+}
+
+// Entries with how many of their product are in the cart
+export function listProgress(list, items) {
+  return list.map((entry) => {
+    const line = entry.tag_id ? findLine(items, entry.tag_id) : null;
+    const have = line ? itemQty(line) : 0;
+    return { ...entry, have, done: have >= entry.qty };
+  });
+}
+
+export function outstanding(list, items) {
+  return listProgress(list, items).filter((entry) => !entry.done);
+}
+
+// Tags in the cart that no list entry asked for; empty when there is no list
+export function unlistedTags(list, items) {
+  if (list.length === 0) return new Set();
+  const listed = new Set(list.map((entry) => entry.tag_id).filter(Boolean));
+  return new Set(items.map((item) => item.tag_id).filter((tag) => !listed.has(tag)));
+}
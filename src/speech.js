@@ -0,0 +1,20 @@
+import { getLocale, LANGUAGES } from "./i18n.js";
+
+// ─── SPEECH ───
+// Spoken announcements through the browser's Web Speech API, in the active
+// UI language. Browsers only allow speech after the page has had a user
+// gesture, so callers should not expect sound before the first tap.
+export function speechSupported() {
+  return typeof window !== "undefined" && "speechSynthesis" in window;
+}
+
+export function speak(text) {
+  if (!speechSupported() || !text) return;
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = LANGUAGES[getLocale().language].intl;
+  window.speechSynthesis.speak(utterance);
+}
+
+export function stopSpeaking() {
+  if (speechSupported()) window.speechSynthesis.cancel();
+}
@@ -0,0 +1,27 @@
+// ─── STORE PROFILE ───
+// Printed on every receipt format. Build-time env vars give the defaults;
+// staff can override them from the receipt screen (kept in localStorage).
+const PROFILE_KEY = "smartcart.storeProfile";
+
+export const DEFAULT_PROFILE = {
+  name: import.meta.env.VITE_STORE_NAME || "Smart Cart",
+  address: import.meta.env.VITE_STORE_ADDRESS || "",
+  gstin: import.meta.env.VITE_STORE_GSTIN || "",
+  footer: import.meta.env.VITE_RECEIPT_FOOTER || "Thank you for shopping with us!",
+};
+
+export function loadStoreProfile() {
+  try {
+    return { ...DEFAULT_PROFILE, ...JSON.parse(localStorage.getItem(PROFILE_KEY)) };
+  } catch {
+    return { ...DEFAULT_PROFILE };
+  }
+}
+
+export function saveStoreProfile(profile) {
+  try {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+  } catch {
+    // falls back to defaults next load
+  }
+}
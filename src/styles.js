@@ -0,0 +1,95 @@
+// ─── STYLES ───
+// :root is the dark theme. The others override the palette through the
+// data-theme attribute settings.js puts on <html>. Colours stay six-digit
+// hex: components append an alpha suffix to them (var(--red)44).
+export const globalStyles = `
+  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+
+  :root {
+    --bg: #0a0e17;
+    --surface: #111827;
+    --surface-2: #1a2332;
+    --border: #1e2d3d;
+    --border-glow: #00e5ff22;
+    --text: #e8edf3;
+    --text-dim: #6b7f95;
+    --accent: #00e5ff;
+    --accent-dim: #00e5ff33;
+    --green: #10b981;
+    --green-dim: #10b98122;
+    --red: #ef4444;
+    --red-dim: #ef444422;
+    --yellow: #f59e0b;
+    --mono: 'Space Mono', monospace;
+    --sans: 'DM Sans', sans-serif;
+  }
+
+  [data-theme="light"] {
+    --bg: #f1f4f8;
+    --surface: #ffffff;
+    --surface-2: #e8edf3;
+    --border: #d3dce6;
+    --border-glow: #0891b222;
+    --text: #0f1722;
+    --text-dim: #55677a;
+    --accent: #0891b2;
+    --accent-dim: #0891b222;
+    --green: #059669;
+    --green-dim: #05966922;
+    --red: #dc2626;
+    --red-dim: #dc262618;
+    --yellow: #d97706;
+    color-scheme: light;
+  }
+
+  [data-theme="contrast"] {
+    --bg: #000000;
+    --surface: #000000;
+    --surface-2: #141414;
+    --border: #ffffff;
+    --border-glow: #ffff0044;
+    --text: #ffffff;
+    --text-dim: #e6e6e6;
+    --accent: #ffff00;
+    --accent-dim: #ffff0033;
+    --green: #00ff66;
+    --green-dim: #00ff6633;
+    --red: #ff5c5c;
+    --red-dim: #ff5c5c33;
+    --yellow: #ffb000;
+  }
+
+  body {
+    font-family: var(--sans);
+    background: var(--bg);
+    color: var(--text);
+    min-height: 100vh;
+    -webkit-font-smoothing: antialiased;
+  }
+
+  @keyframes slideUp {
+    from { opacity: 0; transform: translateY(12px); }
+    to { opacity: 1; transform: translateY(0); }
+  }
+
+  @keyframes pulse {
+    0%, 100% { opacity: 1; }
+    50% { opacity: 0.5; }
+  }
+
+  @keyframes scanline {
+    0% { transform: translateY(-100%); }
+    100% { transform: translateY(400%); }
+  }
+
+  @keyframes fadeIn {
+    from { opacity: 0; }
+    to { opacity: 1; }
+  }
+
+  @keyframes popIn {
+    0% { opacity: 0; transform: scale(0.9) translateY(8px); }
+    70% { transform: scale(1.02) translateY(-2px); }
+    100% { opacity: 1; transform: scale(1) translateY(0); }
+  }
+`;
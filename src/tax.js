@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from "react";
+import { fetchTaxConfig, updateTaxConfig } from "./api.js";
+import { itemQty } from "./cartModel.js";
+import { toPaise, fromPaise } from "./payment.js";
+
+// ─── GST ───
+// Each line is taxed at its product's `gst_rate`, else its category's rate,
+// else the store default. Discounts are spread over lines pro rata before tax.
+// Intra-state sales split the tax into equal CGST and SGST halves; inter-state
+// sales charge it all as IGST. The grand total is rounded to the rupee and the
+// difference shown as a rounding adjustment.
+//
+// The config decides what is charged, so it lives on the backend and is the
+// same on every terminal. The last copy fetched is cached only so a page
+// loaded offline still prices carts; it is never edited locally.
+const CACHE_KEY = "smartcart.taxConfigCache";
+
+export const GST_SLABS = [0, 5, 12, 18, 28];
+
+export const DEFAULT_TAX_CONFIG = {
+  inclusive: import.meta.env.VITE_PRICES_INCLUDE_TAX !== "false",
+  interState: false,
+  defaultRate: Number(import.meta.env.VITE_DEFAULT_GST_RATE ?? 18),
+  categories: {}, // { [category]: rate }
+};
+
+function fromWire(raw) {
+  if (!raw) return { ...DEFAULT_TAX_CONFIG };
+  return {
+    inclusive: raw.inclusive ?? DEFAULT_TAX_CONFIG.inclusive,
+    interState: raw.inter_state ?? DEFAULT_TAX_CONFIG.interState,
+    defaultRate: raw.default_rate ?? DEFAULT_TAX_CONFIG.defaultRate,
+    categories: raw.categories || {},
+  };
+}
+
+function toWire(config) {
+  return {
+    inclusive: config.inclusive,
+    inter_state: config.interState,
+    default_rate: config.defaultRate,
+    categories: config.categories,
+  };
+}
+
+function loadCached() {
+  try {
+    return { ...DEFAULT_TAX_CONFIG, ...JSON.parse(localStorage.getItem(CACHE_KEY)) };
+  } catch {
+    return { ...DEFAULT_TAX_CONFIG };
+  }
+}
+
+function cache(config) {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(config));
+  } catch {
+    // cache is best-effort
+  }
+}
+
+// [config, save]. `save(next)` writes to the backend and only takes effect
+// once the backend accepts it; it rejects with the API error otherwise.
+export function useTaxConfig() {
+  const [config, setConfig] = useState(loadCached);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchTaxConfig({ signal: controller.signal })
+      .then((data) => {
+        const next = fromWire(data.tax_config);
+        setConfig(next);
+        cache(next);
+      })
+      .catch((err) => {
+        if (err.status === 404) setConfig({ ...DEFAULT_TAX_CONFIG });
+        // otherwise keep the cached copy
+      });
+    return () => controller.abort();
+  }, []);
+
+  const save = useCallback(async (next) => {
+    const data = await updateTaxConfig(toWire(next));
+    const saved = data.tax_config ? fromWire(data.tax_config) : next;
+    setConfig(saved);
+    cache(saved);
+  }, []);
+
+  return [config, save];
+}
+
+export function gstRate(item, products, config) {
+  const product = products[item.tag_id];
+  const rate = item.gst_rate ?? product?.gst_rate ?? config.categories[item.category];
+  return Number.isFinite(rate) ? rate : config.defaultRate;
+}
+
+// `pricing` is cartPricing()'s { subtotal, total }; amounts come back in rupees
+export function computeTax(items, pricing, products, config) {
+  const ratio = pricing.subtotal > 0 ? pricing.total / pricing.subtotal : 1;
+  const slabs = new Map();
+  for (const item of items) {
+    const rate = gstRate(item, products, config);
+    const net = Math.round(toPaise(item.price) * itemQty(item) * ratio);
+    const slab = slabs.get(rate) || { rate, net: 0, taxable: 0 };
+    slab.net += net;
+    slab.taxable += config.inclusive ? Math.round((net * 100) / (100 + rate)) : net;
+    slabs.set(rate, slab);
+  }
+
+  const rows = [...slabs.values()].sort((a, b) => a.rate - b.rate).map(({ rate, taxable }) => {
+    const half = Math.round((taxable * rate) / 200);
+    return config.interState
+      ? { rate, taxable, cgst: 0, sgst: 0, igst: Math.round((taxable * rate) / 100) }
+      : { rate, taxable, cgst: half, sgst: half, igst: 0 };
+  });
+  const taxable = rows.reduce((sum, r) => sum + r.taxable, 0);
+  const tax = rows.reduce((sum, r) => sum + r.cgst + r.sgst + r.igst, 0);
+  const exact = taxable + tax;
+  const grandTotal = Math.round(exact / 100) * 100;
+
+  return {
+    inclusive: config.inclusive,
+    interState: config.interState,
+    slabs: rows.map((r) => ({
+      rate: r.rate,
+      taxable: fromPaise(r.taxable),
+      cgst: fromPaise(r.cgst),
+      sgst: fromPaise(r.sgst),
+      igst: fromPaise(r.igst),
+    })),
+    taxable: fromPaise(taxable),
+    tax: fromPaise(tax),
+    rounding: fromPaise(grandTotal - exact),
+    grandTotal: fromPaise(grandTotal),
+  };
+}
+
+// What checkout sends: the promotion-priced total the backend reconciles
+// against its own pricing, with GST and rounding kept apart from it.
+// `rounding` takes up any paise the per-line tax maths leaves over, so that
+// amountDue = total + rounding (+ tax when prices exclude it) exactly.
+export function checkoutCharge(pricing, tax) {
+  const added = tax.inclusive ? 0 : toPaise(tax.tax);
+  return {
+    total: pricing.total,
+    tax: tax.tax,
+    taxInclusive: tax.inclusive,
+    rounding: fromPaise(toPaise(tax.grandTotal) - toPaise(pricing.total) - added),
+    amountDue: tax.grandTotal,
+  };
+}
+
+// Rows shared by the cart footer and every receipt format. `key` is the
+// message key for the UI; `label` is the English text printed receipts use.
+export function taxLines(tax) {
+  const line = (key, label, amount, rate) => ({ key, label, amount, rate });
+  const lines = [line("tax.taxable", "Taxable value", tax.taxable)];
+  for (const slab of tax.slabs.filter((s) => s.rate > 0)) {
+    if (tax.interState) {
+      lines.push(line("tax.igst", `IGST ${slab.rate}%`, slab.igst, slab.rate));
+    } else {
+      lines.push(line("tax.cgst", `CGST ${slab.rate / 2}%`, slab.cgst, slab.rate / 2));
+      lines.push(line("tax.sgst", `SGST ${slab.rate / 2}%`, slab.sgst, slab.rate / 2));
+    }
+  }
+  if (tax.rounding !== 0) lines.push(line("tax.rounding", "Rounding", tax.rounding));
+  return lines;
+}
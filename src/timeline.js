@@ -0,0 +1,126 @@
+import { useState, useEffect, useCallback } from "react";
+import { itemQty } from "./cartModel.js";
+
+// ─── SCAN TIMELINE ───
+// Every change to the cart becomes an entry: scans from the simulator or quick
+// scan palette, operator edits, offline replays, and ESP32 scans (detected by
+// diffing the live cart against the last one we saw). Entries are kept per
+// cart in sessionStorage so a reload mid-dispute does not lose them.
+const MAX_ENTRIES = 500;
+
+// Message keys for where a change came from
+export const SOURCE_LABELS = {
+  simulator: "timeline.sources.simulator",
+  quick: "timeline.sources.quick",
+  reader: "timeline.sources.reader",
+  esp32: "timeline.sources.esp32",
+  operator: "timeline.sources.operator",
+  replay: "timeline.sources.replay",
+  undo: "timeline.sources.undo",
+};
+
+function storageKey(cartId) {
+  return `smartcart.timeline.${cartId}`;
+}
+
+function load(cartId) {
+  try {
+    const list = JSON.parse(sessionStorage.getItem(storageKey(cartId)));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// Every cart's entries kept in this tab, newest first per cart; analytics
+// falls back to these when the backend has no scan log
+export function storedEntries() {
+  const prefix = storageKey("");
+  const all = [];
+  for (let i = 0; i < sessionStorage.length; i++) {
+    const key = sessionStorage.key(i);
+    if (key?.startsWith(prefix)) {
+      const cartId = key.slice(prefix.length);
+      all.push(...load(cartId).map((entry) => ({ ...entry, cartId })));
+    }
+  }
+  return all;
+}
+
+// Per-product quantity changes between two cart snapshots
+export function diffCarts(prev, next) {
+  const before = new Map(prev.items.map((item) => [item.tag_id, item]));
+  const after = new Map(next.items.map((item) => [item.tag_id, item]));
+  const changes = [];
+  for (const [tagId, item] of after) {
+    const from = before.has(tagId) ? itemQty(before.get(tagId)) : 0;
+    const to = itemQty(item);
+    if (from !== to) changes.push({ tagId, product: item.name, price: item.price, from, to });
+  }
+  for (const [tagId, item] of before) {
+    if (!after.has(tagId)) {
+      changes.push({ tagId, product: item.name, price: item.price, from: itemQty(item), to: 0 });
+    }
+  }
+  return changes;
+}
+
+// Ops that put the entry's product back to its quantity before the entry, or
+// null when that is not possible: session-level entries, already undone, or
+// the line has changed since (undoing would clobber the newer change).
+export function undoOpsFor(entry, currentQty) {
+  if (entry.kind !== "item" || entry.undone || currentQty !== entry.to) return null;
+  const { tagId, from } = entry;
+  if (from === 0) return [{ type: "remove", tagId }];
+  if (currentQty === 0) {
+    return from > 1
+      ? [{ type: "scan", tagId }, { type: "quantity", tagId, qty: from }]
+      : [{ type: "scan", tagId }];
+  }
+  return [{ type: "quantity", tagId, qty: from }];
+}
+
+let nextId = Date.now();
+
+export function useScanTimeline(cartId) {
+  const [entries, setEntries] = useState(() => load(cartId));
+
+  useEffect(() => {
+    try {
+      sessionStorage.setItem(storageKey(cartId), JSON.stringify(entries));
+    } catch {
+      // history is still in memory; persistence is best-effort
+    }
+  }, [cartId, entries]);
+
+  // kind "clear" and "checkout" collapse into a single entry; everything else
+  // is logged per product that changed. `totalOf` prices a cart the way the
+  // dashboard shows it (promotions, GST, rounding) so the running total on
+  // each entry matches the cart footer.
+  const record = useCallback((prev, next, { source, kind = "item", totalOf = (c) => c.total }) => {
+    const at = Date.now();
+    const total = totalOf(next);
+    const added = kind === "item"
+      ? diffCarts(prev, next).map((change) => ({
+          ...change,
+          id: nextId++, at, source, kind,
+          action: change.to > change.from ? "added" : "removed",
+          total,
+        }))
+      : [{
+          id: nextId++, at, source, kind,
+          action: kind === "checkout" ? "checked out" : "cleared",
+          lines: prev.items.length, // shown as "{count} lines" by ScanTimeline
+          price: totalOf(prev),
+          total,
+        }];
+    if (added.length > 0) setEntries((list) => [...[...added].reverse(), ...list].slice(0, MAX_ENTRIES));
+    return added;
+  }, []);
+
+  const markUndone = useCallback((id) => {
+    setEntries((list) => list.map((e) => (e.id === id ? { ...e, undone: true } : e)));
+  }, []);
+
+  return { entries, record, markUndone };
+}
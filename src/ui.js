@@ -0,0 +1,53 @@
+// ─── SHARED STYLES ───
+// Style objects reused by the secondary screens (catalog, history, …) so they
+// match the dashboard cards without copying the same literals everywhere.
+export const panelStyle = {
+  background: "var(--surface)", borderRadius: 14,
+  border: "1px solid var(--border)", padding: 24,
+};
+
+export const sectionTitleStyle = {
+  fontFamily: "var(--mono)", fontSize: 12, fontWeight: 700,
+  color: "var(--text-dim)", marginBottom: 16,
+  textTransform: "uppercase", letterSpacing: 1.5,
+};
+
+export const inputStyle = {
+  width: "100%", padding: "8px 12px",
+  background: "var(--bg)", border: "1px solid var(--border)",
+  borderRadius: 8, color: "var(--text)",
+  fontFamily: "var(--mono)", fontSize: 12,
+  outline: "none",
+};
+
+export const labelStyle = {
+  display: "block", fontFamily: "var(--mono)", fontSize: 10,
+  color: "var(--text-dim)", letterSpacing: 1, marginBottom: 4,
+};
+
+const BUTTON_VARIANTS = {
+  primary: { background: "var(--accent)", color: "#000", border: "none" },
+  success: { background: "var(--green)", color: "#000", border: "none" },
+  danger: { background: "var(--red-dim)", color: "var(--red)", border: "1px solid var(--red)44" },
+  ghost: { background: "none", color: "var(--text-dim)", border: "1px solid var(--border)" },
+};
+
+export function buttonStyle(variant = "primary") {
+  return {
+    padding: "8px 14px", borderRadius: 8, cursor: "pointer",
+    fontFamily: "var(--mono)", fontWeight: 700, fontSize: 11,
+    ...BUTTON_VARIANTS[variant],
+  };
+}
+
+export const thStyle = {
+  textAlign: "left", padding: "8px 10px",
+  fontFamily: "var(--mono)", fontSize: 10, fontWeight: 700,
+  color: "var(--text-dim)", letterSpacing: 1,
+  borderBottom: "1px solid var(--border)",
+};
+
+export const tdStyle = {
+  padding: "10px", fontSize: 13,
+  borderBottom: "1px solid var(--border)",
+};